@@ -10,7 +10,7 @@
  * - GSAP 3.x (required)
  * - GSAP ScrollTrigger plugin (optional, for card stacking)
  * - GSAP Flip plugin (optional, for morph animations)
- * - GSAP Draggable plugin (optional, for gallery drag)
+ * - GSAP Draggable plugin (optional, for gallery drag - native scrolling without it)
  * - Lenis (optional, for smooth scroll)
  */
 
@@ -40,15 +40,55 @@
    * @property {boolean} [keyboard=true] - Enable keyboard navigation
    * @property {boolean} [smoothScroll=true] - Enable Lenis smooth scroll
    * @property {boolean} [cardStacking=true] - Enable scroll-triggered card stacking
-   * @property {number} [scrollStep=400] - Pixels to scroll per arrow/key press
+   * @property {StackingOptions} [stacking] - Sticky position and effects for covered cards
+   * @property {number} [scrollStep=400] - Pixels to scroll per arrow/key press (without snap)
+   * @property {'start'|'center'|false} [snap=false] - Settle the gallery track with an item's start edge or center in place
+   * @property {'bar'|'dots'|false} [galleryIndicator=false] - Position slider with a "4 / 13" readout under the gallery
+   * @property {'strip'|'grid'|'masonry'} [galleryLayout='strip'] - Gallery layout (per gallery: data-cm-layout on the section)
+   * @property {boolean} [galleryLayoutToggle=false] - "Show all" button switching galleries between the strip and grid (or masonry)
+   * @property {'draggable'|'native'} [galleryEngine='draggable'] - Gallery track engine; 'native' scrolls with CSS overflow and scroll-snap (used automatically without the Draggable plugin)
+   * @property {number|false} [virtualGallery=false] - Window galleries with at least this many items (only those near the viewport stay mounted)
    * @property {boolean} [lightbox=true] - Enable lightbox on gallery images
+   * @property {boolean} [thumbnails=true] - Show a thumbnail filmstrip in the lightbox
+   * @property {SlideshowOptions|false} [slideshow] - Lightbox slideshow (false hides the play button)
+   * @property {LightboxActions} [lightboxActions] - Optional lightbox header actions (download is enabled per gallery with data-cm-download)
+   * @property {boolean} [morph=true] - Morph card image/title into the view hero (requires Flip)
+   * @property {boolean} [viewNav=true] - Enable next/prev project controls, Shift+arrow keys and edge swipes inside views
+   * @property {string|null} [locale=null] - UI language ('en', 'pt', 'ru'); defaults to the nearest lang attribute
+   * @property {Partial<CardMorphStrings>} [strings] - Overrides for individual UI strings
    * @property {Object} [lenis] - Lenis configuration
    * @property {Function} [onOpen] - Callback when view opens
    * @property {Function} [onClose] - Callback when view closes
+   * @property {Function} [onChange] - Callback when an open view switches to a sibling view
    * @property {Function} [onInit] - Callback when instance initializes
    * @property {Function} [onDestroy] - Callback when instance is destroyed
    */
 
+  /**
+   * @typedef {Object} StackingOptions
+   * Effect values apply to a card once the next card fully covers it; 0 disables
+   * @property {string|number} [top='7.5vh'] - Sticky top (CSS length; numbers are pixels)
+   * @property {number} [offset=0] - Pixels each card sticks below the previous, so earlier cards peek out
+   * @property {number} [scale=0] - Scale reduction (0.1 = scales down to 0.9)
+   * @property {number} [dim=0] - Brightness reduction (0.5 = brightness 50%)
+   * @property {number} [blur=0] - Blur in pixels
+   * @property {number} [rotate=0] - Rotation in degrees
+   */
+
+  /**
+   * @typedef {Object} SlideshowOptions
+   * @property {number} [interval=5000] - Time per image in milliseconds
+   * @property {boolean} [loop=false] - Continue from the first image after the last
+   * @property {boolean} [autoplay=false] - Start playing when the lightbox opens (not with reduced motion)
+   */
+
+  /**
+   * @typedef {Object} LightboxActions
+   * @property {boolean} [fullscreen=false] - Fullscreen toggle (hidden where the Fullscreen API is unavailable)
+   * @property {boolean} [share=false] - Share the image's link via the Web Share API, or copy it to the clipboard
+   * @property {boolean} [download=false] - Download the original image (Lightbox.open only)
+   */
+
   /** @type {CardMorphOptions} */
   const DEFAULTS = Object.freeze({
     cardSelector: '.cm-card',
@@ -61,8 +101,36 @@
     keyboard: true,
     smoothScroll: true,
     cardStacking: true,
+    stacking: {
+      top: '7.5vh',
+      offset: 0,
+      scale: 0,
+      dim: 0,
+      blur: 0,
+      rotate: 0
+    },
     scrollStep: 400,
+    snap: false,
+    galleryIndicator: false,
+    galleryLayout: 'strip',
+    galleryLayoutToggle: false,
+    galleryEngine: 'draggable',
+    virtualGallery: false,
     lightbox: true,
+    thumbnails: true,
+    slideshow: {
+      interval: 5000,
+      loop: false,
+      autoplay: false
+    },
+    lightboxActions: {
+      fullscreen: false,
+      share: false
+    },
+    morph: true,
+    viewNav: true,
+    locale: null,
+    strings: {},
     lenis: {
       duration: 1.2,
       easing: (t) => Math.min(1, 1.001 - Math.pow(2, -10 * t)),
@@ -70,10 +138,284 @@
     },
     onOpen: null,
     onClose: null,
+    onChange: null,
     onInit: null,
     onDestroy: null
   });
 
+  /**
+   * @typedef {Object} LightboxOptions
+   * @property {string} [theme='dark'] - Color theme ('dark', 'light'), set as data-theme on the dialog
+   * @property {boolean} [captions=true] - Show the caption under the image
+   * @property {boolean} [details=true] - Show the details toggle for images with metadata
+   * @property {boolean} [loop=false] - Previous/next wrap around at the ends
+   * @property {boolean} [controls=true] - Show the arrows and counter (keys and swipes still work)
+   * @property {boolean} [thumbnails=true] - Show the thumbnail filmstrip
+   * @property {SlideshowOptions|false} [slideshow] - Slideshow settings (false hides the play button)
+   * @property {LightboxActions} [actions] - Header action buttons
+   * @property {Function|null} [shareUrl=null] - Called with (index, image) for the link to share when the
+   *   image has no shareUrl of its own; the page URL is shared when neither gives one
+   * @property {string|null} [locale=null] - UI language; defaults to <html lang>
+   * @property {Partial<CardMorphStrings>} [strings] - Overrides for individual UI strings
+   * @property {Function} [onOpen] - Called with (index, image, lightbox) when opened
+   * @property {Function} [onChange] - Called with (index, image, lightbox) after moving to another image
+   * @property {Function} [onClose] - Called with (index, image, lightbox) when closed
+   * @property {Function} [onAction] - Called with (action, index, image, detail, lightbox) after a header action
+   */
+
+  /** @type {LightboxOptions} */
+  const LIGHTBOX_DEFAULTS = Object.freeze({
+    theme: 'dark',
+    captions: true,
+    details: true,
+    loop: false,
+    controls: true,
+    thumbnails: true,
+    slideshow: DEFAULTS.slideshow,
+    actions: {
+      fullscreen: false,
+      share: false,
+      download: false
+    },
+    shareUrl: null,
+    locale: null,
+    strings: {},
+    onOpen: null,
+    onChange: null,
+    onClose: null,
+    onAction: null
+  });
+
+  // ==========================================================================
+  // UI STRINGS
+  // Built-in language packs; {name} placeholders are filled by formatString
+  // ==========================================================================
+
+  /**
+   * @typedef {Object} CardMorphStrings
+   * @property {string} galleryTitle - Lightbox dialog title (screen readers)
+   * @property {string} galleryInstructions - Lightbox dialog description (screen readers)
+   * @property {string} galleryNavigation - Lightbox nav label
+   * @property {string} closeGallery - Lightbox close button
+   * @property {string} previousImage - Lightbox previous button
+   * @property {string} nextImage - Lightbox next button
+   * @property {string} thumbnails - Filmstrip label
+   * @property {string} showImage - Thumbnail label ({index}, {alt})
+   * @property {string} galleryImage - Fallback for images without alt text
+   * @property {string} imageError - Alt text of an image that failed to load
+   * @property {string} galleryVideo - Fallback label for videos without one
+   * @property {string} videoError - Label of a video that failed to load
+   * @property {string} playSlideshow - Play button
+   * @property {string} pauseSlideshow - Pause button
+   * @property {string} slideshowPlaying - Announced when the slideshow starts
+   * @property {string} slideshowPaused - Announced when the slideshow pauses
+   * @property {string} enterFullscreen - Fullscreen button
+   * @property {string} exitFullscreen - Fullscreen button while fullscreen
+   * @property {string} share - Share button
+   * @property {string} download - Download button
+   * @property {string} linkCopied - Announced after copying the share link
+   * @property {string} copyFailed - Announced when copying the share link fails
+   * @property {string} showDetails - Details toggle while collapsed
+   * @property {string} hideDetails - Details toggle while expanded
+   * @property {string} details - Details panel label
+   * @property {string} collection - Details label
+   * @property {string} materials - Details label
+   * @property {string} finish - Details label
+   * @property {string} dimensions - Details label
+   * @property {string} credit - Details label for the photo credit
+   * @property {string} galleryOpened - Announced when the lightbox opens ({index}, {total})
+   * @property {string} galleryClosed - Announced when the lightbox closes
+   * @property {string} previousImages - Gallery previous arrow
+   * @property {string} nextImages - Gallery next arrow
+   * @property {string} galleryPosition - Gallery position slider label
+   * @property {string} galleryPositionValue - Gallery position slider value ({index}, {total})
+   * @property {string} galleryShowAll - Gallery layout toggle (strip / grid)
+   * @property {string} viewImage - Gallery item label ({index}, {alt})
+   * @property {string} openView - Card label in rendered markup ({title})
+   * @property {string} closeView - View close button
+   * @property {string} viewOpened - Announced when a view opens ({view})
+   * @property {string} viewClosed - Announced when a view closes
+   * @property {string} viewLoading - Announced while lazy view content loads ({view})
+   * @property {string} viewLoadError - Announced when lazy view content fails ({view})
+   * @property {string} projectNavigation - View navigation label
+   * @property {string} previousProject - View navigation previous button
+   * @property {string} nextProject - View navigation next button
+   */
+
+  /** @type {Object<string, CardMorphStrings>} Language packs by language code */
+  const STRINGS = {
+    en: Object.freeze({
+      galleryTitle: 'Image Gallery',
+      galleryInstructions: 'Use arrow keys to navigate between images. Press Escape to close.',
+      galleryNavigation: 'Gallery navigation',
+      closeGallery: 'Close gallery',
+      previousImage: 'Previous image',
+      nextImage: 'Next image',
+      thumbnails: 'Image thumbnails',
+      showImage: 'Show image {index}: {alt}',
+      galleryImage: 'Gallery image',
+      imageError: 'Image failed to load',
+      galleryVideo: 'Gallery video',
+      videoError: 'Video failed to load',
+      playSlideshow: 'Play slideshow',
+      pauseSlideshow: 'Pause slideshow',
+      slideshowPlaying: 'Slideshow playing',
+      slideshowPaused: 'Slideshow paused',
+      enterFullscreen: 'Enter fullscreen',
+      exitFullscreen: 'Exit fullscreen',
+      share: 'Share image',
+      download: 'Download original',
+      linkCopied: 'Link copied to clipboard',
+      copyFailed: 'Could not copy link',
+      showDetails: 'Show details',
+      hideDetails: 'Hide details',
+      details: 'Image details',
+      collection: 'Collection',
+      materials: 'Materials',
+      finish: 'Finish',
+      dimensions: 'Dimensions',
+      credit: 'Photo',
+      galleryOpened: 'Image gallery opened. Image {index} of {total}',
+      galleryClosed: 'Gallery closed',
+      previousImages: 'Previous images',
+      nextImages: 'Next images',
+      galleryPosition: 'Gallery position',
+      galleryPositionValue: 'Photo {index} of {total}',
+      galleryShowAll: 'Show all',
+      viewImage: 'View image {index}: {alt}',
+      openView: 'View {title}',
+      closeView: 'Close view',
+      viewOpened: 'Opened {view} view',
+      viewClosed: 'View closed',
+      viewLoading: 'Loading {view} view',
+      viewLoadError: 'Could not load {view} view',
+      projectNavigation: 'Project navigation',
+      previousProject: 'Previous project',
+      nextProject: 'Next project'
+    }),
+    pt: Object.freeze({
+      galleryTitle: 'Galeria de imagens',
+      galleryInstructions: 'Use as setas para navegar entre as imagens. Prima Escape para fechar.',
+      galleryNavigation: 'Navegação da galeria',
+      closeGallery: 'Fechar galeria',
+      previousImage: 'Imagem anterior',
+      nextImage: 'Imagem seguinte',
+      thumbnails: 'Miniaturas das imagens',
+      showImage: 'Mostrar imagem {index}: {alt}',
+      galleryImage: 'Imagem da galeria',
+      imageError: 'Não foi possível carregar a imagem',
+      galleryVideo: 'Vídeo da galeria',
+      videoError: 'Não foi possível carregar o vídeo',
+      playSlideshow: 'Iniciar apresentação',
+      pauseSlideshow: 'Pausar apresentação',
+      slideshowPlaying: 'Apresentação em curso',
+      slideshowPaused: 'Apresentação em pausa',
+      enterFullscreen: 'Ecrã inteiro',
+      exitFullscreen: 'Sair do ecrã inteiro',
+      share: 'Partilhar imagem',
+      download: 'Transferir original',
+      linkCopied: 'Ligação copiada para a área de transferência',
+      copyFailed: 'Não foi possível copiar a ligação',
+      showDetails: 'Mostrar detalhes',
+      hideDetails: 'Ocultar detalhes',
+      details: 'Detalhes da imagem',
+      collection: 'Coleção',
+      materials: 'Materiais',
+      finish: 'Acabamento',
+      dimensions: 'Dimensões',
+      credit: 'Fotografia',
+      galleryOpened: 'Galeria de imagens aberta. Imagem {index} de {total}',
+      galleryClosed: 'Galeria fechada',
+      previousImages: 'Imagens anteriores',
+      nextImages: 'Imagens seguintes',
+      galleryPosition: 'Posição na galeria',
+      galleryPositionValue: 'Foto {index} de {total}',
+      galleryShowAll: 'Mostrar tudo',
+      viewImage: 'Ver imagem {index}: {alt}',
+      openView: 'Ver {title}',
+      closeView: 'Fechar vista',
+      viewOpened: 'Vista {view} aberta',
+      viewClosed: 'Vista fechada',
+      viewLoading: 'A carregar a vista {view}',
+      viewLoadError: 'Não foi possível carregar a vista {view}',
+      projectNavigation: 'Navegação entre projetos',
+      previousProject: 'Projeto anterior',
+      nextProject: 'Projeto seguinte'
+    }),
+    ru: Object.freeze({
+      galleryTitle: 'Галерея изображений',
+      galleryInstructions: 'Используйте клавиши со стрелками для перехода между изображениями. Нажмите Escape, чтобы закрыть.',
+      galleryNavigation: 'Навигация по галерее',
+      closeGallery: 'Закрыть галерею',
+      previousImage: 'Предыдущее изображение',
+      nextImage: 'Следующее изображение',
+      thumbnails: 'Миниатюры изображений',
+      showImage: 'Показать изображение {index}: {alt}',
+      galleryImage: 'Изображение галереи',
+      imageError: 'Не удалось загрузить изображение',
+      galleryVideo: 'Видео галереи',
+      videoError: 'Не удалось загрузить видео',
+      playSlideshow: 'Запустить слайд-шоу',
+      pauseSlideshow: 'Приостановить слайд-шоу',
+      slideshowPlaying: 'Слайд-шоу запущено',
+      slideshowPaused: 'Слайд-шоу приостановлено',
+      enterFullscreen: 'Во весь экран',
+      exitFullscreen: 'Выйти из полноэкранного режима',
+      share: 'Поделиться изображением',
+      download: 'Скачать оригинал',
+      linkCopied: 'Ссылка скопирована в буфер обмена',
+      copyFailed: 'Не удалось скопировать ссылку',
+      showDetails: 'Показать подробности',
+      hideDetails: 'Скрыть подробности',
+      details: 'Сведения об изображении',
+      collection: 'Коллекция',
+      materials: 'Материалы',
+      finish: 'Отделка',
+      dimensions: 'Размеры',
+      credit: 'Фото',
+      galleryOpened: 'Галерея открыта. Изображение {index} из {total}',
+      galleryClosed: 'Галерея закрыта',
+      previousImages: 'Предыдущие изображения',
+      nextImages: 'Следующие изображения',
+      galleryPosition: 'Позиция в галерее',
+      galleryPositionValue: 'Фото {index} из {total}',
+      galleryShowAll: 'Показать все',
+      viewImage: 'Открыть изображение {index}: {alt}',
+      openView: 'Открыть {title}',
+      closeView: 'Закрыть',
+      viewOpened: 'Открыт раздел {view}',
+      viewClosed: 'Раздел закрыт',
+      viewLoading: 'Загрузка раздела {view}',
+      viewLoadError: 'Не удалось загрузить раздел {view}',
+      projectNavigation: 'Навигация по проектам',
+      previousProject: 'Предыдущий проект',
+      nextProject: 'Следующий проект'
+    })
+  };
+
+  /**
+   * Resolve UI strings for a language, falling back to English per string
+   * Matches the full tag first ('pt-BR'), then the primary language ('pt')
+   * @param {string} [locale] - Language tag (defaults to <html lang>)
+   * @param {Partial<CardMorphStrings>} [overrides] - Individual strings to replace
+   * @returns {CardMorphStrings}
+   */
+  function resolveStrings(locale, overrides) {
+    const tag = String(locale || document.documentElement.lang || 'en').toLowerCase();
+    const pack = STRINGS[tag] || STRINGS[tag.split('-')[0]] || STRINGS.en;
+    return { ...STRINGS.en, ...pack, ...overrides };
+  }
+
+  /**
+   * Fill {name} placeholders in a UI string
+   * @param {string} template
+   * @param {Object} values
+   * @returns {string}
+   */
+  function formatString(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? String(values[name]) : match));
+  }
+
   // ==========================================================================
   // UTILITY FUNCTIONS
   // ==========================================================================
@@ -102,12 +444,14 @@
 
   /**
    * Parse data attributes to options
+   * Keys that extend an object option are nested: data-cm-stacking-scale -> { stacking: { scale } }
    * @param {Element} element
+   * @param {string} [prefix='cm'] - Dataset prefix (data-cm-*, data-lightbox-*)
+   * @param {Object} [defaults=DEFAULTS] - Options whose object values take nested keys
    * @returns {Object}
    */
-  function parseDataOptions(element) {
+  function parseDataOptions(element, prefix = 'cm', defaults = DEFAULTS) {
     const options = {};
-    const prefix = 'cm';
     const dataset = element.dataset;
 
     for (const key in dataset) {
@@ -120,13 +464,108 @@
         else if (value === 'false') value = false;
         else if (!isNaN(value) && value !== '') value = parseFloat(value);
 
-        options[normalizedKey] = value;
+        const parent = Object.keys(defaults).find(name =>
+          defaults[name] && typeof defaults[name] === 'object' &&
+          normalizedKey.length > name.length &&
+          normalizedKey.startsWith(name) &&
+          /[A-Z]/.test(normalizedKey.charAt(name.length))
+        );
+
+        if (parent) {
+          const childKey = normalizedKey.charAt(parent.length).toLowerCase() + normalizedKey.slice(parent.length + 1);
+          options[parent] = { ...options[parent], [childKey]: value };
+        } else {
+          options[normalizedKey] = value;
+        }
       }
     }
 
     return options;
   }
 
+  /**
+   * Parse a URL hash into a view route
+   * Supports `#view`, `#view/7` (photo 7 in the gallery) and `#view/7/lightbox`
+   * @param {string} hash
+   * @returns {{view: string, index: number|null, lightbox: boolean}} Zero-based index
+   */
+  function parseRoute(hash) {
+    let route = hash.replace(/^#/, '');
+
+    try {
+      route = decodeURIComponent(route);
+    } catch (error) {
+      // Malformed escapes (#50%off) - keep the hash as typed
+    }
+
+    const [view = '', photo, mode] = route.split('/');
+    const number = parseInt(photo, 10);
+    const index = number > 0 ? number - 1 : null;
+
+    return { view, index, lightbox: index !== null && mode === 'lightbox' };
+  }
+
+  /** @type {Map<string, Promise<string>>} View fragment requests by URL, shared by all instances */
+  const viewFragments = new Map();
+
+  /**
+   * Fetch a lazy view fragment, reusing an earlier or in-flight request
+   * Failed requests are dropped from the cache so the next open retries
+   * @param {string} url
+   * @returns {Promise<string>} Fragment HTML
+   */
+  function fetchViewFragment(url) {
+    if (!viewFragments.has(url)) {
+      const request = fetch(url)
+        .then(response => {
+          if (!response.ok) {
+            throw new Error(`CardMorph: Failed to load view "${url}" (${response.status})`);
+          }
+          return response.text();
+        })
+        .catch(error => {
+          viewFragments.delete(url);
+          throw error;
+        });
+
+      viewFragments.set(url, request);
+    }
+
+    return viewFragments.get(url);
+  }
+
+  /**
+   * Get keyboard-focusable elements within a root, in DOM order
+   * @param {Element} root
+   * @returns {HTMLElement[]}
+   */
+  function getFocusableElements(root) {
+    const selector = [
+      'a[href]',
+      'button:not([disabled])',
+      'input:not([disabled]):not([type="hidden"])',
+      'select:not([disabled])',
+      'textarea:not([disabled])',
+      'video[controls]',
+      '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    return Array.from(root.querySelectorAll(selector)).filter(el =>
+      !el.closest('[inert]') && el.getClientRects().length > 0
+    );
+  }
+
+  /**
+   * Damp a drag past the end of its range, approaching but never reaching dimension
+   * @param {number} offset - Drag distance in px
+   * @param {number} dimension - Size of the dragged area in px
+   * @returns {number}
+   */
+  function rubberband(offset, dimension) {
+    const damped = (1 - 1 / (Math.abs(offset) * 0.55 / dimension + 1)) * dimension;
+    return Math.sign(offset) * damped;
+  }
+
   /**
    * Announce message to screen readers
    * @param {string} message
@@ -145,6 +584,358 @@
     setTimeout(() => { announcer.textContent = ''; }, 1000);
   }
 
+  // ==========================================================================
+  // MARKUP TEMPLATES
+  // Builds the card/view markup from a data source (see CardMorph.render)
+  // ==========================================================================
+
+  /**
+   * @typedef {Object} CardMorphItemImage
+   * @property {string} src - Image or video URL
+   * @property {string} [alt] - Alt text (aria-label for videos)
+   * @property {'image'|'video'} [type='image'] - Gallery items only
+   * @property {string} [poster] - Video poster image
+   * @property {Array<{src: string, type?: string}>} [sources] - Alternative video formats (MP4/WebM)
+   * @property {string} [caption] - Visible lightbox caption (defaults to alt)
+   * @property {ImageMeta} [meta] - Lightbox details panel
+   * @property {string} [srcset] - Responsive candidates (windowed gallery data)
+   * @property {number} [width] - Intrinsic width; with height, sizes windowed gallery items before they load
+   * @property {number} [height] - Intrinsic height
+   * @property {string} [full] - Larger lightbox source (like data-cm-full-src)
+   */
+
+  /**
+   * @typedef {Object} ImageMeta
+   * Read from data-cm-meta (JSON) and data-cm-{field} attributes on a gallery
+   * image, its link or its item/figure
+   * @property {string} [title] - Piece name (details heading)
+   * @property {string} [collection]
+   * @property {string} [materials]
+   * @property {string} [finish]
+   * @property {string} [dimensions]
+   * @property {string} [credit] - Photo credit
+   */
+
+  /** @type {string[]} ImageMeta fields, in details panel order */
+  const META_FIELDS = ['title', 'collection', 'materials', 'finish', 'dimensions', 'credit'];
+
+  /** @type {RegExp} Link targets opened as video in the lightbox */
+  const VIDEO_URL = /\.(mp4|webm|ogv|mov)$/i;
+
+  /**
+   * @typedef {Object} CardMorphItem
+   * @property {string} id - View id (used for data-cm-view-id, `${id}-view` and the URL hash)
+   * @property {string|string[]} title - Card title; array entries become stacked hero title lines
+   * @property {string} [badge] - Card badge text
+   * @property {string} [className] - Extra class(es) for the card
+   * @property {string|CardMorphItemImage} image - Card image
+   * @property {string|CardMorphItemImage} [heroImage] - Hero background (defaults to image)
+   * @property {string} [description] - Hero description
+   * @property {string} [heading] - Info section heading
+   * @property {string[]} [paragraphs] - Info section paragraphs
+   * @property {Array<{label: string, value: string}>} [details] - Info detail rows
+   * @property {Array<string|CardMorphItemImage>} [gallery] - Gallery images
+   */
+
+  /**
+   * @typedef {Object} CardMorphData
+   * @property {CardMorphItem[]} items - Cards and their views, in display order
+   * @property {string} [closeLabel] - Close button aria-label (defaults to the closeView string)
+   * @property {string} [openLabel] - Card aria-label prefix (defaults to the openView string)
+   * @property {string} [galleryHint] - Hint shown under each gallery
+   */
+
+  /**
+   * Escape a value for use in HTML text or attributes
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHTML(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Normalize an image entry to {src, alt, caption?, meta?}
+   * @param {string|CardMorphItemImage} image
+   * @param {string} [fallbackAlt='']
+   * @returns {CardMorphItemImage}
+   */
+  function normalizeImage(image, fallbackAlt = '') {
+    if (typeof image === 'string') return { src: image, alt: fallbackAlt };
+    return {
+      src: image?.src || '',
+      alt: image?.alt ?? fallbackAlt,
+      caption: image?.caption,
+      meta: image?.meta,
+      type: image?.type === 'video' ? 'video' : 'image',
+      poster: image?.poster || '',
+      sources: image?.sources || []
+    };
+  }
+
+  /**
+   * Render a gallery item's <img>, or a muted looping <video> for video items
+   * @param {CardMorphItemImage} image
+   * @returns {string}
+   */
+  function renderGalleryMedia(image) {
+    if (image.type !== 'video') {
+      return `<img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}"${renderImageData(image)} loading="lazy">`;
+    }
+
+    const sources = image.sources
+      .map(source => `<source src="${escapeHTML(source.src)}"${source.type ? ` type="${escapeHTML(source.type)}"` : ''}>`)
+      .join('');
+
+    return `<video${image.src ? ` src="${escapeHTML(image.src)}"` : ''}${image.poster ? ` poster="${escapeHTML(image.poster)}"` : ''}${image.alt ? ` aria-label="${escapeHTML(image.alt)}"` : ''}${renderImageData(image)} muted loop playsinline autoplay preload="metadata">${sources}</video>`;
+  }
+
+  /**
+   * Render a gallery image's caption and metadata as data attributes
+   * @param {CardMorphItemImage} image
+   * @returns {string}
+   */
+  function renderImageData(image) {
+    return (image.caption ? ` data-cm-caption="${escapeHTML(image.caption)}"` : '') +
+      (image.meta ? ` data-cm-meta="${escapeHTML(JSON.stringify(image.meta))}"` : '');
+  }
+
+  /**
+   * Collect an <img>'s responsive sources for the lightbox: its own srcset
+   * and, when wrapped in <picture>, the AVIF/WebP <source> elements
+   * @param {HTMLImageElement} img
+   * @returns {{src: string, srcset: string, sources: Array<{srcset: string, type: string, media: string}>, width: number, height: number}}
+   */
+  function getImageSources(img) {
+    const picture = img.parentElement?.tagName === 'PICTURE' ? img.parentElement : null;
+    const sources = picture
+      ? Array.from(picture.querySelectorAll('source')).map(source => ({
+        srcset: source.getAttribute('srcset') || '',
+        type: source.getAttribute('type') || '',
+        media: source.getAttribute('media') || ''
+      })).filter(source => source.srcset)
+      : [];
+
+    return {
+      src: img.src,
+      srcset: img.getAttribute('srcset') || '',
+      sources,
+      width: parseInt(img.getAttribute('width'), 10) || img.naturalWidth || 0,
+      height: parseInt(img.getAttribute('height'), 10) || img.naturalHeight || 0
+    };
+  }
+
+  /**
+   * Collect a <video>'s sources for the lightbox: its src and the
+   * MP4/WebM <source> elements (the lightbox plays the first supported one)
+   * @param {HTMLVideoElement} video
+   * @returns {{type: string, src: string, sources: Array<{src: string, type: string}>, poster: string, width: number, height: number}}
+   */
+  function getVideoSources(video) {
+    const sources = Array.from(video.querySelectorAll('source')).map(source => ({
+      src: source.src,
+      type: source.getAttribute('type') || ''
+    })).filter(source => source.src);
+
+    return {
+      type: 'video',
+      src: video.currentSrc || video.src || sources[0]?.src || '',
+      sources,
+      poster: video.poster,
+      width: parseInt(video.getAttribute('width'), 10) || video.videoWidth || 0,
+      height: parseInt(video.getAttribute('height'), 10) || video.videoHeight || 0
+    };
+  }
+
+  /**
+   * Build a lightbox image object from an <img> or <video>, or from a link to
+   * a larger image or a video file (the link's href wins over the thumbnail's own sources)
+   * The caption comes from data-cm-caption, a <figcaption>, then alt text
+   * @param {HTMLImageElement|HTMLVideoElement|HTMLAnchorElement} element
+   * @returns {Object} Lightbox image object
+   */
+  function getLightboxImage(element) {
+    const media = element.matches('img, video') ? element : element.querySelector('img, video');
+    const wrapper = element.closest('.cm-gallery-section__item, figure');
+    const isVideo = media?.tagName === 'VIDEO';
+    const alt = (isVideo ? media.getAttribute('aria-label') || media.title : media?.alt) || '';
+    let base;
+
+    if (element.tagName === 'A') {
+      base = VIDEO_URL.test(element.pathname)
+        ? { type: 'video', src: element.href, sources: [], poster: isVideo ? media.poster : media?.src || '', width: 0, height: 0 }
+        : { src: element.href, srcset: '', sources: [], width: 0, height: 0 };
+    } else {
+      base = isVideo ? getVideoSources(media) : getImageSources(media);
+    }
+
+    // Closest element wins: wrapper < media < link
+    const sources = [wrapper, media, element].filter((el, i, all) => el && all.indexOf(el) === i);
+    const data = (key) => sources.reduce((value, el) => el.dataset[key] || value, '');
+    const figcaption = wrapper?.tagName === 'FIGURE' ? wrapper.querySelector('figcaption')?.textContent.trim() : '';
+
+    return {
+      ...base,
+      full: data('cmFullSrc'),
+      shareUrl: data('cmShareUrl'),
+      alt,
+      caption: data('cmCaption') || figcaption || alt || element.title || '',
+      meta: getImageMeta(sources)
+    };
+  }
+
+  /**
+   * Aspect ratio of a gallery <img>/<video> from its width/height attributes,
+   * else its intrinsic size once loaded
+   * @param {HTMLImageElement|HTMLVideoElement} media
+   * @returns {number} 0 while unknown
+   */
+  function getMediaRatio(media) {
+    const width = parseInt(media.getAttribute('width'), 10) || media.naturalWidth || media.videoWidth || 0;
+    const height = parseInt(media.getAttribute('height'), 10) || media.naturalHeight || media.videoHeight || 0;
+    return width > 0 && height > 0 ? width / height : 0;
+  }
+
+  /**
+   * Build a lightbox image object from a gallery data entry (windowed galleries)
+   * @param {string|CardMorphItemImage} entry
+   * @returns {Object} Lightbox image object
+   */
+  function getDataLightboxImage(entry) {
+    const image = normalizeImage(entry);
+    const extra = entry && typeof entry === 'object' ? entry : {};
+    const meta = image.meta || {};
+
+    return {
+      ...image,
+      srcset: extra.srcset || '',
+      width: Number(extra.width) || 0,
+      height: Number(extra.height) || 0,
+      full: extra.full || '',
+      caption: image.caption || image.alt,
+      meta: Object.fromEntries(META_FIELDS
+        .filter(field => meta[field] !== undefined && meta[field] !== null && meta[field] !== '')
+        .map(field => [field, String(meta[field])]))
+    };
+  }
+
+  /**
+   * Read ImageMeta from data-cm-meta JSON and data-cm-{field} attributes
+   * Later elements and individual attributes override earlier values
+   * @param {Element[]} elements
+   * @returns {ImageMeta}
+   */
+  function getImageMeta(elements) {
+    const meta = {};
+
+    elements.forEach(el => {
+      if (el.dataset.cmMeta) {
+        try {
+          Object.assign(meta, JSON.parse(el.dataset.cmMeta));
+        } catch (error) {
+          console.warn('CardMorph: Invalid data-cm-meta JSON', el, error);
+        }
+      }
+
+      META_FIELDS.forEach(field => {
+        const value = el.dataset[`cm${field.charAt(0).toUpperCase()}${field.slice(1)}`];
+        if (value) meta[field] = value;
+      });
+    });
+
+    return Object.fromEntries(META_FIELDS
+      .filter(field => meta[field] !== undefined && meta[field] !== null && meta[field] !== '')
+      .map(field => [field, String(meta[field])]));
+  }
+
+  /**
+   * Render card markup
+   * @param {CardMorphItem} item
+   * @param {CardMorphData} data
+   * @param {CardMorphStrings} strings
+   * @returns {string}
+   */
+  function renderCard(item, data, strings) {
+    const lines = [].concat(item.title || item.id);
+    const title = lines.join(' ');
+    const image = normalizeImage(item.image, title);
+    const className = ['cm-card', item.className].filter(Boolean).join(' ');
+
+    return `
+      <article class="${escapeHTML(className)}" data-cm-view-id="${escapeHTML(item.id)}" aria-label="${escapeHTML(data.openLabel ? `${data.openLabel} ${title}` : formatString(strings.openView, { title }))}">
+        ${item.badge ? `<span class="cm-card__badge">${escapeHTML(item.badge)}</span>` : ''}
+        <img class="cm-card__image" src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" loading="lazy">
+        <h3 class="cm-card__title">${escapeHTML(title)}</h3>
+      </article>
+    `;
+  }
+
+  /**
+   * Render view markup (hero, info and gallery sections)
+   * @param {CardMorphItem} item
+   * @param {CardMorphData} data
+   * @param {CardMorphStrings} strings
+   * @returns {string}
+   */
+  function renderView(item, data, strings) {
+    const lines = [].concat(item.title || item.id);
+    const hero = normalizeImage(item.heroImage || item.image, '');
+    const paragraphs = item.paragraphs || [];
+    const details = item.details || [];
+    const gallery = (item.gallery || []).map(image => normalizeImage(image));
+    const hasInfo = item.heading || paragraphs.length > 0 || details.length > 0;
+
+    return `
+      <div id="${escapeHTML(item.id)}-view" class="cm-view" aria-hidden="true">
+        <div class="cm-view__inner">
+          <button class="cm-view__close" aria-label="${escapeHTML(data.closeLabel || strings.closeView)}"></button>
+
+          <section class="cm-hero">
+            <div class="cm-hero__background">
+              <img src="${escapeHTML(hero.src)}" alt="">
+            </div>
+            <div class="cm-hero__content">
+              <h1 class="cm-hero__title">
+                ${lines.map(line => `<span>${escapeHTML(line)}</span>`).join('')}
+              </h1>
+              ${item.description ? `<p class="cm-hero__description">${escapeHTML(item.description)}</p>` : ''}
+            </div>
+            <div class="cm-hero__scroll-indicator" aria-hidden="true"><span></span></div>
+          </section>
+
+          ${hasInfo ? `
+          <section class="cm-info">
+            <div class="cm-info__description">
+              ${item.heading ? `<h2>${escapeHTML(item.heading)}</h2>` : ''}
+              ${paragraphs.map(text => `<p>${escapeHTML(text)}</p>`).join('')}
+            </div>
+            <div class="cm-info__details">
+              ${details.map(detail => `
+                <div class="cm-info__detail">
+                  <div class="cm-info__detail-label">${escapeHTML(detail.label)}</div>
+                  <div class="cm-info__detail-value">${escapeHTML(detail.value)}</div>
+                </div>
+              `).join('')}
+            </div>
+          </section>` : ''}
+
+          ${gallery.length > 0 ? `
+          <section class="cm-gallery-section">
+            <div class="cm-gallery-section__track">
+              ${gallery.map(image => `<div class="cm-gallery-section__item">${renderGalleryMedia(image)}</div>`).join('')}
+            </div>
+            ${data.galleryHint ? `<span class="cm-gallery-section__hint">${escapeHTML(data.galleryHint)}</span>` : ''}
+          </section>` : ''}
+        </div>
+      </div>
+    `;
+  }
+
   // ==========================================================================
   // LIGHTBOX CLASS
   // Modern lightbox using native <dialog> element (2025 best practice)
@@ -152,6 +943,8 @@
 
   /**
    * Lightbox Component
+   * A single shared <dialog> driven by the static API (Lightbox.open); instances
+   * are configured galleries that open it with their own images and options
    * @class
    */
   class Lightbox {
@@ -185,6 +978,66 @@
     /** @type {number} Touch start Y position for swipe-to-close */
     static #touchStartY = 0;
 
+    /** @type {Object} Callbacks for the current session ({onOpen, onChange, onClose}) */
+    static #callbacks = {};
+
+    /** @type {number} Maximum zoom scale */
+    static #maxZoom = 4;
+
+    /** @type {number} Zoom scale for double-tap/double-click */
+    static #doubleTapZoom = 2.5;
+
+    /** @type {{scale: number, x: number, y: number}} Current zoom transform of the image */
+    static #zoom = { scale: 1, x: 0, y: 0 };
+
+    /** @type {Map<number, Object>} Pointers down on the image ({x, y, startX, startY, time}) */
+    static #pointers = new Map();
+
+    /** @type {Object|null} Pan or pinch in progress */
+    static #gesture = null;
+
+    /** @type {{time: number, x: number, y: number}} Last tap, for double-tap detection */
+    static #lastTap = { time: 0, x: 0, y: 0 };
+
+    /** @type {boolean} Current touch sequence pinched or panned - not a swipe */
+    static #touchZoomed = false;
+
+    /** @type {Object|null} Touch drag at normal zoom: {axis, x, y, dx, dy, peekIndex, samples} */
+    static #drag = null;
+
+    /** @type {number} Index whose full-resolution source was requested (-1 for none) */
+    static #fullIndex = -1;
+
+    /** @type {LightboxOptions} Display options for the current session */
+    static #options = LIGHTBOX_DEFAULTS;
+
+    /** @type {boolean} Details panel expanded (kept while moving between images) */
+    static #detailsOpen = false;
+
+    /** @type {Lightbox|null} Instance that opened the current session (null for Lightbox.open) */
+    static #owner = null;
+
+    /** @type {Map<Element, Lightbox>} Instances by container and trigger element */
+    static #instances = new Map();
+
+    /** @type {boolean} Slideshow playing (the timer may still be held, see #holds) */
+    static #playing = false;
+
+    /** @type {Set<string>} Reasons the playing slideshow is held ('hover', 'focus', 'zoom', 'hidden', 'video', 'drag') */
+    static #holds = new Set();
+
+    /** @type {Object|null} Tween filling the progress bar; advances the slideshow on complete */
+    static #slideTimer = null;
+
+    /** @type {Function|null} Document visibilitychange handler while open */
+    static #visibilityHandler = null;
+
+    /** @type {number} Rendered thumbnail width in px (sizes hint for srcset) */
+    static #thumbnailWidth = 64;
+
+    /** @type {CardMorphStrings} UI strings for the current session */
+    static #strings = STRINGS.en;
+
     /**
      * Initialize the lightbox (creates DOM once)
      * @static
@@ -205,12 +1058,59 @@
         <dialog class="cm-lightbox" aria-labelledby="cm-lightbox-title" aria-describedby="cm-lightbox-desc">
           <div class="cm-lightbox__overlay"></div>
           <div class="cm-lightbox__container">
+            <div class="cm-lightbox__progress" aria-hidden="true" hidden>
+              <span class="cm-lightbox__progress-bar"></span>
+            </div>
             <header class="cm-lightbox__header">
-              <h2 id="cm-lightbox-title" class="cm-sr-only">Image Gallery</h2>
-              <p id="cm-lightbox-desc" class="cm-sr-only">
-                Use arrow keys to navigate between images. Press Escape to close.
-              </p>
-              <button class="cm-lightbox__close" aria-label="Close gallery" type="button">
+              <h2 id="cm-lightbox-title" class="cm-sr-only"></h2>
+              <p id="cm-lightbox-desc" class="cm-sr-only"></p>
+              <button class="cm-lightbox__play" aria-pressed="false" type="button" hidden>
+                <svg class="cm-lightbox__play-icon" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                  <polygon points="7 4 20 12 7 20 7 4"></polygon>
+                </svg>
+                <svg class="cm-lightbox__pause-icon" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                  <rect x="6" y="4" width="4" height="16"></rect>
+                  <rect x="14" y="4" width="4" height="16"></rect>
+                </svg>
+              </button>
+              <button class="cm-lightbox__info" aria-expanded="false" aria-controls="cm-lightbox-details" type="button" hidden>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <circle cx="12" cy="12" r="10"></circle>
+                  <line x1="12" y1="16" x2="12" y2="11"></line>
+                  <line x1="12" y1="8" x2="12.01" y2="8"></line>
+                </svg>
+              </button>
+              <button class="cm-lightbox__fullscreen" aria-pressed="false" type="button" hidden>
+                <svg class="cm-lightbox__enter-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <polyline points="4 9 4 4 9 4"></polyline>
+                  <polyline points="15 4 20 4 20 9"></polyline>
+                  <polyline points="20 15 20 20 15 20"></polyline>
+                  <polyline points="9 20 4 20 4 15"></polyline>
+                </svg>
+                <svg class="cm-lightbox__exit-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <polyline points="9 4 9 9 4 9"></polyline>
+                  <polyline points="20 9 15 9 15 4"></polyline>
+                  <polyline points="15 20 15 15 20 15"></polyline>
+                  <polyline points="4 15 9 15 9 20"></polyline>
+                </svg>
+              </button>
+              <button class="cm-lightbox__share" type="button" hidden>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <circle cx="18" cy="5" r="3"></circle>
+                  <circle cx="6" cy="12" r="3"></circle>
+                  <circle cx="18" cy="19" r="3"></circle>
+                  <line x1="8.6" y1="13.5" x2="15.4" y2="17.5"></line>
+                  <line x1="15.4" y1="6.5" x2="8.6" y2="10.5"></line>
+                </svg>
+              </button>
+              <button class="cm-lightbox__download" type="button" hidden>
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                  <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"></path>
+                  <polyline points="7 10 12 15 17 10"></polyline>
+                  <line x1="12" y1="15" x2="12" y2="3"></line>
+                </svg>
+              </button>
+              <button class="cm-lightbox__close" type="button">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <line x1="18" y1="6" x2="6" y2="18"></line>
                   <line x1="6" y1="6" x2="18" y2="18"></line>
@@ -221,17 +1121,25 @@
             <main class="cm-lightbox__main">
               <figure class="cm-lightbox__figure" role="group" aria-roledescription="slide">
                 <div class="cm-lightbox__image-wrapper" data-zoomed="false">
-                  <img class="cm-lightbox__image" src="" alt="" />
+                  <picture class="cm-lightbox__picture">
+                    <img class="cm-lightbox__image" src="" alt="" />
+                  </picture>
+                  <video class="cm-lightbox__video" controls playsinline preload="metadata"></video>
                   <div class="cm-lightbox__loader" style="display: none;"></div>
                 </div>
                 <figcaption class="cm-lightbox__caption"></figcaption>
               </figure>
+              <div class="cm-lightbox__peek" aria-hidden="true" hidden>
+                <picture><img alt="" /></picture>
+              </div>
             </main>
 
-            <nav class="cm-lightbox__nav" aria-label="Gallery navigation">
+            <nav class="cm-lightbox__nav">
               <div class="cm-lightbox__nav-caption" aria-hidden="true"></div>
+              <section id="cm-lightbox-details" class="cm-lightbox__details" hidden></section>
+              <div class="cm-lightbox__thumbnails" role="group" hidden></div>
               <div class="cm-lightbox__nav-controls">
-                <button class="cm-lightbox__prev" aria-label="Previous image" type="button">
+                <button class="cm-lightbox__prev" type="button">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="15 18 9 12 15 6"></polyline>
                   </svg>
@@ -243,7 +1151,7 @@
                   <span class="cm-lightbox__total">1</span>
                 </div>
 
-                <button class="cm-lightbox__next" aria-label="Next image" type="button">
+                <button class="cm-lightbox__next" type="button">
                   <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="9 18 15 12 9 6"></polyline>
                   </svg>
@@ -251,6 +1159,7 @@
               </div>
             </nav>
           </div>
+          <div class="cm-lightbox__preload" hidden aria-hidden="true"></div>
         </dialog>
       `;
 
@@ -261,19 +1170,64 @@
 
       // Cache DOM references
       Lightbox.#dom = {
+        title: Lightbox.#dialog.querySelector('#cm-lightbox-title'),
+        description: Lightbox.#dialog.querySelector('#cm-lightbox-desc'),
+        nav: Lightbox.#dialog.querySelector('.cm-lightbox__nav'),
         overlay: Lightbox.#dialog.querySelector('.cm-lightbox__overlay'),
         container: Lightbox.#dialog.querySelector('.cm-lightbox__container'),
+        main: Lightbox.#dialog.querySelector('.cm-lightbox__main'),
+        figure: Lightbox.#dialog.querySelector('.cm-lightbox__figure'),
+        peek: Lightbox.#dialog.querySelector('.cm-lightbox__peek'),
         image: Lightbox.#dialog.querySelector('.cm-lightbox__image'),
+        picture: Lightbox.#dialog.querySelector('.cm-lightbox__picture'),
+        preload: Lightbox.#dialog.querySelector('.cm-lightbox__preload'),
+        video: Lightbox.#dialog.querySelector('.cm-lightbox__video'),
         imageWrapper: Lightbox.#dialog.querySelector('.cm-lightbox__image-wrapper'),
         caption: Lightbox.#dialog.querySelector('.cm-lightbox__caption'),
         navCaption: Lightbox.#dialog.querySelector('.cm-lightbox__nav-caption'),
+        thumbnails: Lightbox.#dialog.querySelector('.cm-lightbox__thumbnails'),
+        navControls: Lightbox.#dialog.querySelector('.cm-lightbox__nav-controls'),
+        details: Lightbox.#dialog.querySelector('.cm-lightbox__details'),
+        infoBtn: Lightbox.#dialog.querySelector('.cm-lightbox__info'),
         loader: Lightbox.#dialog.querySelector('.cm-lightbox__loader'),
         closeBtn: Lightbox.#dialog.querySelector('.cm-lightbox__close'),
+        playBtn: Lightbox.#dialog.querySelector('.cm-lightbox__play'),
+        fullscreenBtn: Lightbox.#dialog.querySelector('.cm-lightbox__fullscreen'),
+        shareBtn: Lightbox.#dialog.querySelector('.cm-lightbox__share'),
+        downloadBtn: Lightbox.#dialog.querySelector('.cm-lightbox__download'),
+        progress: Lightbox.#dialog.querySelector('.cm-lightbox__progress'),
+        progressBar: Lightbox.#dialog.querySelector('.cm-lightbox__progress-bar'),
         prevBtn: Lightbox.#dialog.querySelector('.cm-lightbox__prev'),
         nextBtn: Lightbox.#dialog.querySelector('.cm-lightbox__next'),
         current: Lightbox.#dialog.querySelector('.cm-lightbox__current'),
         total: Lightbox.#dialog.querySelector('.cm-lightbox__total')
       };
+
+      Lightbox.#applyStrings();
+    }
+
+    /**
+     * Apply the session's UI strings to the static labels
+     * @private
+     */
+    static #applyStrings() {
+      const strings = Lightbox.#strings;
+      const { title, description, nav, thumbnails, details, closeBtn, prevBtn, nextBtn, shareBtn, downloadBtn } = Lightbox.#dom;
+
+      title.textContent = strings.galleryTitle;
+      description.textContent = strings.galleryInstructions;
+      nav.setAttribute('aria-label', strings.galleryNavigation);
+      thumbnails.setAttribute('aria-label', strings.thumbnails);
+      details.setAttribute('aria-label', strings.details);
+      closeBtn.setAttribute('aria-label', strings.closeGallery);
+      prevBtn.setAttribute('aria-label', strings.previousImage);
+      nextBtn.setAttribute('aria-label', strings.nextImage);
+      shareBtn.setAttribute('aria-label', strings.share);
+      downloadBtn.setAttribute('aria-label', strings.download);
+
+      Lightbox.#updatePlayButton();
+      Lightbox.#updateFullscreenButton();
+      Lightbox.#updateInfoButton();
     }
 
     /**
@@ -309,13 +1263,32 @@
       prevBtn.addEventListener('click', () => Lightbox.prev());
       nextBtn.addEventListener('click', () => Lightbox.next());
 
-      // Touch swipe support - horizontal for prev/next, vertical down for close
+      // Thumbnail filmstrip
+      const { thumbnails } = Lightbox.#dom;
+      thumbnails.addEventListener('click', (e) => {
+        const thumbnail = e.target.closest('.cm-lightbox__thumbnail');
+        if (thumbnail) Lightbox.#goToThumbnail(thumbnail);
+      });
+      thumbnails.addEventListener('keydown', (e) => Lightbox.#handleThumbnailKey(e));
+
+      Lightbox.#bindSlideshow();
+      Lightbox.#bindActions();
+      Lightbox.#dom.infoBtn.addEventListener('click', () => Lightbox.#toggleDetails());
+
+      // Touch swipe for videos - horizontal for prev/next, vertical down for close
+      // (images follow the finger instead, see #updateDrag)
       imageWrapper.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 1) {
+          Lightbox.#touchZoomed = Lightbox.#zoom.scale > 1;
+        }
         Lightbox.#touchStartX = e.changedTouches[0].pageX;
         Lightbox.#touchStartY = e.changedTouches[0].pageY;
       }, { passive: true });
 
       imageWrapper.addEventListener('touchend', (e) => {
+        // Swipes are suspended while zoomed, pinching or panning
+        if (!Lightbox.#isVideo || Lightbox.#touchZoomed || Lightbox.#zoom.scale > 1 || e.touches.length > 0) return;
+
         const touchEndX = e.changedTouches[0].pageX;
         const touchEndY = e.changedTouches[0].pageY;
         const diffX = Lightbox.#touchStartX - touchEndX;
@@ -338,1202 +1311,4575 @@
           Lightbox.close();
         }
       }, { passive: true });
+
+      Lightbox.#bindZoom();
+
+      // A playing video holds the slideshow until it pauses or ends
+      const { video } = Lightbox.#dom;
+      video.addEventListener('play', () => Lightbox.#setHold('video', true));
+      video.addEventListener('pause', () => Lightbox.#setHold('video', false));
+      video.addEventListener('ended', () => Lightbox.#setHold('video', false));
     }
 
     /**
-     * Open lightbox with images
-     * @param {Array} images - Array of {src, alt, caption} objects
-     * @param {number} startIndex - Index to start at
-     * @param {Element} triggerElement - Element that triggered opening
-     * @static
+     * Bind zoom and pan: pinch, double-tap/double-click, ctrl+wheel
+     * (trackpad pinch) and drag-to-pan while zoomed
+     * @private
      */
-    static open(images, startIndex = 0, triggerElement = null) {
-      if (Lightbox.#isOpen || Lightbox.#isAnimating) return;
-      if (!images || images.length === 0) return;
+    static #bindZoom() {
+      const { imageWrapper } = Lightbox.#dom;
 
-      // Initialize if not done
-      if (!Lightbox.#dialog) {
-        Lightbox.init();
-      }
+      imageWrapper.addEventListener('pointerdown', (e) => {
+        // Videos keep their native controls - no zoom or pan
+        if (Lightbox.#isAnimating || Lightbox.#isVideo || (e.pointerType === 'mouse' && e.button !== 0)) return;
 
-      Lightbox.#isAnimating = true;
-      Lightbox.#images = images;
-      Lightbox.#currentIndex = startIndex;
-      Lightbox.#triggerElement = triggerElement;
+        e.preventDefault();
+        imageWrapper.setPointerCapture(e.pointerId);
+        Lightbox.#pointers.set(e.pointerId, {
+          x: e.clientX,
+          y: e.clientY,
+          startX: e.clientX,
+          startY: e.clientY,
+          time: Date.now(),
+          type: e.pointerType
+        });
+        Lightbox.#startGesture();
+      });
 
-      // Update total count
-      Lightbox.#dom.total.textContent = images.length;
+      imageWrapper.addEventListener('pointermove', (e) => {
+        const pointer = Lightbox.#pointers.get(e.pointerId);
+        if (!pointer) return;
 
-      // Show dialog
-      Lightbox.#dialog.showModal();
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        Lightbox.#updateGesture();
+      });
 
-      // Load first image
-      Lightbox.#loadImage(startIndex);
+      const endPointer = (e) => {
+        const pointer = Lightbox.#pointers.get(e.pointerId);
+        if (!pointer) return;
 
-      // Animate open
-      Lightbox.#animateOpen().then(() => {
-        Lightbox.#isOpen = true;
-        Lightbox.#isAnimating = false;
+        Lightbox.#pointers.delete(e.pointerId);
 
-        // Enable keyboard navigation
-        // Use capture phase and stopPropagation to prevent gallery from also handling arrows
-        Lightbox.#keyHandler = (e) => {
-          if (e.key === 'ArrowLeft') {
-            e.preventDefault();
-            e.stopPropagation();
-            e.stopImmediatePropagation();
-            Lightbox.prev();
-          } else if (e.key === 'ArrowRight') {
-            e.preventDefault();
-            e.stopPropagation();
-            e.stopImmediatePropagation();
-            Lightbox.next();
-          } else if (e.key === 'Escape') {
-            e.preventDefault();
-            e.stopPropagation();
-            Lightbox.close();
-          }
-        };
-        document.addEventListener('keydown', Lightbox.#keyHandler, { capture: true });
+        const isTap = e.type === 'pointerup' &&
+          Lightbox.#pointers.size === 0 &&
+          !Lightbox.#gesture?.pinched &&
+          Date.now() - pointer.time < 300 &&
+          Math.hypot(e.clientX - pointer.startX, e.clientY - pointer.startY) < 10;
 
-        // Focus close button
-        Lightbox.#dom.closeBtn.focus();
-      });
+        if (isTap) Lightbox.#handleTap(e.clientX, e.clientY);
 
-      // Preload adjacent images
-      Lightbox.#preloadAdjacent(startIndex);
+        // Continue with the remaining pointer (pinch -> pan) or settle
+        Lightbox.#startGesture();
+      };
 
-      announce(`Image gallery opened. Image ${startIndex + 1} of ${images.length}`);
+      imageWrapper.addEventListener('pointerup', endPointer);
+      imageWrapper.addEventListener('pointercancel', endPointer);
+
+      imageWrapper.addEventListener('wheel', (e) => {
+        if (Lightbox.#isAnimating || Lightbox.#isVideo) return;
+
+        if (e.ctrlKey) {
+          // Ctrl + wheel, also sent by trackpad pinch
+          e.preventDefault();
+          Lightbox.#zoomTo(Lightbox.#zoom.scale * Math.exp(-e.deltaY * 0.01), e.clientX, e.clientY);
+        } else if (Lightbox.#zoom.scale > 1) {
+          // Plain wheel pans the zoomed image
+          e.preventDefault();
+          const { scale, x, y } = Lightbox.#zoom;
+          Lightbox.#applyZoom(scale, x - e.deltaX, y - e.deltaY);
+        }
+      }, { passive: false });
     }
 
     /**
-     * Close lightbox
-     * @static
+     * Start (or restart) a gesture from the pointers currently down
+     * Pinch with two or more pointers, pan with one, settle when none are left
+     * @private
      */
-    static close() {
-      if (!Lightbox.#isOpen || Lightbox.#isAnimating) return;
+    static #startGesture() {
+      const points = Array.from(Lightbox.#pointers.values());
+
+      // Released: commit or snap back. Second finger: pinch instead
+      if (Lightbox.#drag) {
+        if (points.length === 0) {
+          Lightbox.#endDrag();
+        } else if (points.length > 1) {
+          Lightbox.#cancelDrag();
+        }
+      }
 
-      Lightbox.#isAnimating = true;
-
-      // Remove keyboard handler (must match capture: true from addEventListener)
-      if (Lightbox.#keyHandler) {
-        document.removeEventListener('keydown', Lightbox.#keyHandler, { capture: true });
-        Lightbox.#keyHandler = null;
-      }
-
-      // Animate close
-      Lightbox.#animateClose().then(() => {
-        Lightbox.#dialog.close();
-        Lightbox.#isOpen = false;
-        Lightbox.#isAnimating = false;
-
-        // Return focus to trigger
-        if (Lightbox.#triggerElement) {
-          Lightbox.#triggerElement.focus();
+      if (points.length === 0) {
+        Lightbox.#gesture = null;
+        // Snap back when pinched (almost) out
+        if (Lightbox.#zoom.scale < 1.05 && Lightbox.#zoom.scale !== 1) {
+          Lightbox.#applyZoom(1, 0, 0, true);
         }
+        return;
+      }
 
-        announce('Gallery closed');
-      });
-    }
+      const pinched = Boolean(Lightbox.#gesture?.pinched) || points.length > 1;
+      if (pinched) Lightbox.#touchZoomed = true;
 
-    /**
-     * Go to previous image
-     * @static
-     */
-    static prev() {
-      if (Lightbox.#isAnimating || Lightbox.#currentIndex === 0) return;
-      Lightbox.#goTo(Lightbox.#currentIndex - 1, 'prev');
+      if (points.length > 1) {
+        const [a, b] = points;
+        Lightbox.#gesture = {
+          pinched,
+          distance: Math.hypot(a.x - b.x, a.y - b.y) || 1,
+          scale: Lightbox.#zoom.scale
+        };
+      } else {
+        Lightbox.#gesture = {
+          pinched,
+          x: points[0].x,
+          y: points[0].y,
+          zoomX: Lightbox.#zoom.x,
+          zoomY: Lightbox.#zoom.y
+        };
+      }
     }
 
     /**
-     * Go to next image
-     * @static
+     * Apply pointer movement to the current gesture
+     * @private
      */
-    static next() {
-      if (Lightbox.#isAnimating || Lightbox.#currentIndex === Lightbox.#images.length - 1) return;
-      Lightbox.#goTo(Lightbox.#currentIndex + 1, 'next');
+    static #updateGesture() {
+      const gesture = Lightbox.#gesture;
+      const points = Array.from(Lightbox.#pointers.values());
+      if (!gesture || Lightbox.#isAnimating) return;
+
+      if (points.length > 1) {
+        const [a, b] = points;
+        const distance = Math.hypot(a.x - b.x, a.y - b.y);
+        Lightbox.#zoomTo(gesture.scale * distance / gesture.distance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+      } else if (Lightbox.#zoom.scale > 1) {
+        const [point] = points;
+        if (Math.hypot(point.x - gesture.x, point.y - gesture.y) > 10) {
+          Lightbox.#touchZoomed = true;
+        }
+        Lightbox.#applyZoom(
+          Lightbox.#zoom.scale,
+          gesture.zoomX + point.x - gesture.x,
+          gesture.zoomY + point.y - gesture.y
+        );
+      } else if (!gesture.pinched && points[0].type !== 'mouse') {
+        Lightbox.#updateDrag(points[0]);
+      }
     }
 
     /**
-     * Go to specific image
-     * @param {number} index
-     * @param {string} direction
+     * Follow a touch drag at normal zoom once it picks an axis:
+     * horizontal moves the image and peeks the adjacent one (rubber-banding
+     * at the ends), vertical moves and shrinks it while fading the backdrop
+     * @param {Object} point - Pointer record {x, y, startX, startY}
      * @private
      */
-    static #goTo(index, direction = 'next') {
-      if (Lightbox.#isAnimating) return;
-      if (index < 0 || index >= Lightbox.#images.length) return;
+    static #updateDrag(point) {
+      const { gsap } = CardMorph.dependencies;
+      const { main, figure, peek, overlay } = Lightbox.#dom;
+      const dx = point.x - point.startX;
+      const dy = point.y - point.startY;
 
-      Lightbox.#isAnimating = true;
+      if (!Lightbox.#drag) {
+        if (Math.hypot(dx, dy) < 10) return;
 
-      Lightbox.#animateTransition(direction, () => {
-        Lightbox.#currentIndex = index;
-        Lightbox.#loadImage(index);
-      }).then(() => {
-        Lightbox.#isAnimating = false;
-        Lightbox.#preloadAdjacent(index);
-      });
-    }
+        Lightbox.#drag = { axis: Math.abs(dx) > Math.abs(dy) ? 'x' : 'y', dx: 0, dy: 0, peekIndex: -1, samples: [] };
+        Lightbox.#dialog.classList.add('cm-lightbox--dragging');
+        Lightbox.#setHold('drag', true);
+        gsap.killTweensOf([figure, peek, overlay]);
+      }
 
-    /**
-     * Load image at index
-     * @param {number} index
-     * @private
-     */
-    static #loadImage(index) {
-      const imageData = Lightbox.#images[index];
-      const { image, caption, navCaption, current, prevBtn, nextBtn, loader } = Lightbox.#dom;
+      const drag = Lightbox.#drag;
+      const now = Date.now();
+      drag.samples = drag.samples.filter(sample => now - sample.time < 100);
+      drag.samples.push({ x: point.x, y: point.y, time: now });
 
-      // Show loader
-      loader.style.display = 'block';
+      if (drag.axis === 'x') {
+        const width = main.clientWidth;
+        const step = dx < 0 ? 1 : -1;
+        const peekIndex = Lightbox.#adjacentIndex(Lightbox.#currentIndex, step);
 
-      // Create new image to preload
-      const newImg = new Image();
-      newImg.onload = () => {
-        image.src = imageData.src;
-        image.alt = imageData.alt || '';
-        loader.style.display = 'none';
-      };
-      newImg.onerror = () => {
-        image.src = '';
-        image.alt = 'Image failed to load';
-        loader.style.display = 'none';
-      };
-      newImg.src = imageData.src;
+        drag.dx = peekIndex === -1 ? rubberband(dx, width) : dx;
+        gsap.set(figure, { x: drag.dx });
 
-      // Update caption (both the hidden one for accessibility and visible one in nav)
-      const captionText = imageData.caption || imageData.alt || '';
-      caption.textContent = captionText;
-      navCaption.textContent = captionText;
+        if (peekIndex !== drag.peekIndex) {
+          drag.peekIndex = peekIndex;
+          Lightbox.#showPeek(peekIndex);
+        }
+        if (peekIndex !== -1) {
+          gsap.set(peek, { x: drag.dx + step * width });
+        }
+      } else {
+        const progress = Math.min(Math.abs(dy) / (main.clientHeight / 2), 1);
+        drag.dy = dy;
+        gsap.set(figure, { y: dy, scale: 1 - progress * 0.25 });
+        gsap.set(overlay, { opacity: 1 - progress * 0.8 });
+      }
+    }
 
-      // Update counter
-      current.textContent = index + 1;
+    /**
+     * Release a drag: a long or fast enough drag moves to the adjacent image
+     * or closes, anything else springs back
+     * @private
+     */
+    static #endDrag() {
+      const drag = Lightbox.#drag;
+      const { main, figure } = Lightbox.#dom;
+      const [first, last] = [drag.samples[0], drag.samples[drag.samples.length - 1]];
+      const elapsed = Math.max(last.time - first.time, 1);
+      const velocity = drag.axis === 'x' ? (last.x - first.x) / elapsed : (last.y - first.y) / elapsed;
+      const offset = drag.axis === 'x' ? drag.dx : drag.dy;
+      const size = drag.axis === 'x' ? main.clientWidth : main.clientHeight;
+
+      // Flicks count when they move the same way as the drag (px/ms)
+      const flicked = Math.abs(velocity) > 0.5 && Math.sign(velocity) === Math.sign(offset);
+      const commit = Math.abs(offset) > size * (drag.axis === 'x' ? 0.25 : 0.2) || flicked;
+
+      Lightbox.#drag = null;
+      Lightbox.#setHold('drag', false);
+
+      if (!commit || Lightbox.#isAnimating || (drag.axis === 'x' && drag.peekIndex === -1)) {
+        Lightbox.#cancelDrag(drag);
+        return;
+      }
 
-      // Update button states
-      prevBtn.disabled = index === 0;
-      nextBtn.disabled = index === Lightbox.#images.length - 1;
+      if (drag.axis === 'x') {
+        const direction = offset < 0 ? 'next' : 'prev';
+        Lightbox.#goTo(drag.peekIndex, direction, (dir, onMidpoint) => Lightbox.#animateDragCommit(dir, onMidpoint, velocity));
+      } else {
+        const { gsap } = CardMorph.dependencies;
+        gsap.to(figure, { y: Math.sign(offset) * size, duration: 0.25, ease: 'power2.in' });
+        Lightbox.close();
+      }
     }
 
     /**
-     * Preload adjacent images
-     * @param {number} index
+     * Spring the image (and peek) back and restore the backdrop
+     * @param {Object} [drag] - Ended drag (defaults to the one in progress)
      * @private
      */
-    static #preloadAdjacent(index) {
-      const preloadIndices = [index - 1, index + 1].filter(
-        i => i >= 0 && i < Lightbox.#images.length
-      );
-
-      preloadIndices.forEach(i => {
-        const img = new Image();
-        img.src = Lightbox.#images[i].src;
-      });
+    static #cancelDrag(drag = Lightbox.#drag) {
+      const { gsap } = CardMorph.dependencies;
+      const { main, figure, peek, overlay } = Lightbox.#dom;
+      const duration = window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 0 : 0.35;
+
+      Lightbox.#drag = null;
+      Lightbox.#setHold('drag', false);
+
+      gsap.to(figure, { x: 0, y: 0, scale: 1, duration, ease: 'power3.out', overwrite: true });
+      gsap.to(overlay, { opacity: 1, duration, ease: 'power3.out', overwrite: true });
+
+      if (drag.peekIndex !== -1 && !peek.hidden) {
+        const step = drag.dx < 0 ? 1 : -1;
+        gsap.to(peek, {
+          x: step * main.clientWidth,
+          duration,
+          ease: 'power3.out',
+          overwrite: true,
+          onComplete: () => Lightbox.#resetDrag()
+        });
+      } else {
+        Lightbox.#resetDrag(false);
+      }
     }
 
     /**
-     * Animate lightbox open
+     * Slide the dragged image out and the peeked one into place, then swap
+     * the peek for the real image (it is already cached by the preload)
+     * @param {string} direction - 'next' or 'prev'
+     * @param {Function} onMidpoint - Loads the new image
+     * @param {number} velocity - Release velocity in px/ms
      * @returns {Promise}
      * @private
      */
-    static #animateOpen() {
+    static #animateDragCommit(direction, onMidpoint, velocity) {
       const { gsap } = CardMorph.dependencies;
-      const { overlay, container } = Lightbox.#dom;
+      const { main, figure, peek, image } = Lightbox.#dom;
+      const width = main.clientWidth;
+      const target = direction === 'next' ? -width : width;
+      const remaining = Math.abs(target - gsap.getProperty(figure, 'x'));
+      const duration = window.matchMedia('(prefers-reduced-motion: reduce)').matches
+        ? 0
+        : gsap.utils.clamp(0.15, 0.35, remaining / Math.max(Math.abs(velocity), 1.5) / 1000);
 
       return new Promise(resolve => {
-        gsap.set(overlay, { opacity: 0 });
-        gsap.set(container, { opacity: 0, scale: 0.9 });
-
-        const tl = gsap.timeline({ onComplete: resolve });
-
-        tl.to(overlay, {
-          opacity: 1,
-          duration: 0.3,
-          ease: 'power2.out'
-        })
-        .to(container, {
-          opacity: 1,
-          scale: 1,
-          duration: 0.4,
-          ease: 'expo.out'
-        }, '<0.1');
-      });
+        gsap.timeline({ onComplete: resolve })
+          .to(figure, { x: target, duration, ease: 'power2.out' })
+          .to(peek, { x: 0, duration, ease: 'power2.out' }, '<');
+      }).then(() => {
+        onMidpoint();
+        return image.decode().catch(() => {});
+      }).then(() => Lightbox.#resetDrag());
     }
 
     /**
-     * Animate lightbox close
-     * @returns {Promise}
+     * Put the image back in place and hide the peek
+     * @param {boolean} [resetFigure=true]
      * @private
      */
-    static #animateClose() {
+    static #resetDrag(resetFigure = true) {
       const { gsap } = CardMorph.dependencies;
-      const { overlay, container } = Lightbox.#dom;
-
-      return new Promise(resolve => {
-        const tl = gsap.timeline({ onComplete: resolve });
+      const { figure, peek } = Lightbox.#dom;
 
-        tl.to(container, {
-          opacity: 0,
-          scale: 0.95,
-          duration: 0.25,
-          ease: 'power1.in'
-        })
-        .to(overlay, {
-          opacity: 0,
-          duration: 0.2,
-          ease: 'power2.in'
-        }, '<0.1');
-      });
+      if (resetFigure) gsap.set(figure, { x: 0, y: 0, scale: 1 });
+      gsap.set(peek, { x: 0 });
+      peek.hidden = true;
+      Lightbox.#dialog.classList.remove('cm-lightbox--dragging');
     }
 
     /**
-     * Animate image transition
-     * @param {string} direction
-     * @param {Function} onMidpoint
-     * @returns {Promise}
+     * Show the still of an adjacent item in the peek (hidden for -1)
+     * @param {number} index
      * @private
      */
-    static #animateTransition(direction, onMidpoint) {
-      const { gsap } = CardMorph.dependencies;
-      const { image } = Lightbox.#dom;
-      const xOffset = direction === 'next' ? -50 : 50;
+    static #showPeek(index) {
+      const { peek } = Lightbox.#dom;
 
-      return new Promise(resolve => {
-        const tl = gsap.timeline({ onComplete: resolve });
+      peek.hidden = index === -1;
+      if (index === -1) return;
 
-        tl.to(image, {
-          x: xOffset,
-          opacity: 0,
-          duration: 0.15,
-          ease: 'power2.in'
-        })
-        .call(onMidpoint)
-        .fromTo(image,
-          { x: -xOffset, opacity: 0 },
-          { x: 0, opacity: 1, duration: 0.15, ease: 'power2.out' }
-        );
-      });
+      const imageData = Lightbox.#images[index];
+      Lightbox.#applySources(peek.querySelector('picture'), Lightbox.#getStill(imageData), Lightbox.#getDisplayWidth(imageData));
     }
 
     /**
-     * Check if lightbox is open
-     * @returns {boolean}
-     * @static
+     * Toggle zoom on double-tap/double-click
+     * @param {number} clientX
+     * @param {number} clientY
+     * @private
      */
-    static get isOpen() {
-      return Lightbox.#isOpen;
-    }
-  }
+    static #handleTap(clientX, clientY) {
+      const now = Date.now();
+      const last = Lightbox.#lastTap;
+      const isDoubleTap = now - last.time < 300 && Math.hypot(clientX - last.x, clientY - last.y) < 30;
 
-  // ==========================================================================
-  // CARD MORPH CLASS
-  // ==========================================================================
+      if (!isDoubleTap) {
+        Lightbox.#lastTap = { time: now, x: clientX, y: clientY };
+        return;
+      }
 
-  /**
-   * Card Morph Gallery Component
-   * @class
-   */
-  class CardMorph {
-    /** @type {Object} Registered external dependencies */
-    static dependencies = {
-      gsap: null,
-      ScrollTrigger: null,
-      Flip: null,
-      Draggable: null,
-      Lenis: null
-    };
+      Lightbox.#lastTap = { time: 0, x: 0, y: 0 };
 
-    /** @type {Map<Element, CardMorph>} Instance registry */
-    static #instances = new Map();
+      if (Lightbox.#zoom.scale > 1) {
+        Lightbox.#applyZoom(1, 0, 0, true);
+      } else {
+        Lightbox.#zoomTo(Lightbox.#doubleTapZoom, clientX, clientY, true);
+      }
+    }
 
-    /** @type {boolean} Auto-init enabled */
-    static #autoInitEnabled = false;
+    /**
+     * Zoom to a scale keeping the point under (clientX, clientY) in place
+     * @param {number} scale
+     * @param {number} clientX
+     * @param {number} clientY
+     * @param {boolean} [animate=false]
+     * @private
+     */
+    static #zoomTo(scale, clientX, clientY, animate = false) {
+      if (Lightbox.#isVideo) return;
 
-    /** @type {MutationObserver|null} */
-    static #observer = null;
+      const { gsap } = CardMorph.dependencies;
+      const { scale: current, x, y } = Lightbox.#zoom;
+      const next = gsap.utils.clamp(1, Lightbox.#maxZoom, scale);
 
-    // ========================================================================
-    // STATIC METHODS
-    // ========================================================================
+      // The wrapper isn't transformed, so its center is the image's untransformed center
+      const rect = Lightbox.#dom.imageWrapper.getBoundingClientRect();
+      const dx = clientX - (rect.left + rect.width / 2);
+      const dy = clientY - (rect.top + rect.height / 2);
+      const ratio = next / current;
+
+      Lightbox.#applyZoom(next, dx - ratio * (dx - x), dy - ratio * (dy - y), animate);
+    }
 
     /**
-     * Register external dependencies
-     * @param {Object} deps - Dependencies object
-     * @static
+     * Set the image zoom transform, keeping the image covering its own box
+     * @param {number} scale
+     * @param {number} x
+     * @param {number} y
+     * @param {boolean} [animate=false]
+     * @private
      */
-    static registerDependencies(deps) {
-      Object.assign(CardMorph.dependencies, deps);
+    static #applyZoom(scale, x, y, animate = false) {
+      const { gsap } = CardMorph.dependencies;
+      const { image, imageWrapper } = Lightbox.#dom;
 
-      const { gsap, ScrollTrigger, Flip, Draggable } = CardMorph.dependencies;
+      const maxX = image.offsetWidth * (scale - 1) / 2;
+      const maxY = image.offsetHeight * (scale - 1) / 2;
+      const zoomed = scale > 1;
 
-      // Register GSAP plugins
-      if (gsap) {
-        if (ScrollTrigger) gsap.registerPlugin(ScrollTrigger);
-        if (Flip) gsap.registerPlugin(Flip);
-        if (Draggable) gsap.registerPlugin(Draggable);
+      Lightbox.#zoom = {
+        scale,
+        x: zoomed ? gsap.utils.clamp(-maxX, maxX, x) : 0,
+        y: zoomed ? gsap.utils.clamp(-maxY, maxY, y) : 0
+      };
+
+      imageWrapper.dataset.zoomed = String(zoomed);
+      Lightbox.#dialog.classList.toggle('cm-lightbox--zoomed', zoomed);
+
+      if (zoomed) Lightbox.#loadFullResolution();
+      Lightbox.#setHold('zoom', zoomed);
+
+      const vars = { ...Lightbox.#zoom, overwrite: true };
+      if (animate && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+        gsap.to(image, { ...vars, duration: 0.3, ease: 'power2.out' });
+      } else {
+        gsap.set(image, vars);
       }
     }
 
     /**
-     * Auto-detect globally available dependencies
-     * @static
+     * Reset zoom immediately (new image, open, close)
+     * @private
      */
-    static autoDetectDependencies() {
-      const global = typeof globalThis !== 'undefined' ? globalThis : window;
-
-      CardMorph.registerDependencies({
-        gsap: global.gsap || null,
-        ScrollTrigger: global.ScrollTrigger || null,
-        Flip: global.Flip || null,
-        Draggable: global.Draggable || null,
-        Lenis: global.Lenis || null
-      });
+    static #resetZoom() {
+      Lightbox.#pointers.clear();
+      Lightbox.#gesture = null;
+      Lightbox.#lastTap = { time: 0, x: 0, y: 0 };
+      if (Lightbox.#zoom.scale !== 1) {
+        Lightbox.#applyZoom(1, 0, 0);
+      }
     }
 
     /**
-     * Get instance for element
-     * @param {Element} element
-     * @returns {CardMorph|undefined}
-     * @static
+     * Swap in the full-resolution source (image.full) once zoomed
+     * @private
      */
-    static getInstance(element) {
-      return CardMorph.#instances.get(element);
+    static #loadFullResolution() {
+      const index = Lightbox.#currentIndex;
+      const imageData = Lightbox.#images[index];
+      if (!imageData || Lightbox.#fullIndex === index) return;
+
+      Lightbox.#fullIndex = index;
+
+      // No explicit full source - let srcset pick the variant for the maximum zoom
+      if (!imageData.full) {
+        const zoomedWidth = Lightbox.#getDisplayWidth(imageData) * Lightbox.#maxZoom;
+        Lightbox.#applySources(Lightbox.#dom.picture, imageData, zoomedWidth);
+        return;
+      }
+
+      const fullImg = new Image();
+      fullImg.onload = () => {
+        if (Lightbox.#currentIndex === index && Lightbox.#fullIndex === index) {
+          Lightbox.#applySources(Lightbox.#dom.picture, { src: imageData.full });
+        }
+      };
+      fullImg.src = imageData.full;
     }
 
     /**
-     * Get all instances
-     * @returns {CardMorph[]}
+     * Open lightbox with images
+     * @param {Array} images - Array of {src, srcset?, sources?, width?, height?, full?, shareUrl?, alt, caption, meta?} objects;
+     *   videos are {type: 'video', src, sources?, poster?, ...}
+     * @param {number} startIndex - Index to start at
+     * @param {Element} triggerElement - Element that triggered opening
+     * @param {Object} [callbacks={}] - {onOpen, onChange, onClose}, each called with (index, image);
+     *   onAction is called with (action, index, image, detail) after a header action succeeds
+     * @param {LightboxOptions} [options={}] - Display options (callbacks are passed separately)
+     * @returns {boolean} Whether the lightbox opened (false while another session is open)
      * @static
      */
-    static getInstances() {
-      return Array.from(CardMorph.#instances.values());
+    static open(images, startIndex = 0, triggerElement = null, callbacks = {}, options = {}) {
+      return Lightbox.#openSession(images, startIndex, triggerElement, callbacks, options, null);
     }
 
     /**
-     * Initialize all matching elements
-     * @param {string} [selector='[data-card-morph]'] - Container selector
-     * @param {CardMorphOptions} [options={}] - Default options
-     * @returns {CardMorph[]}
-     * @static
+     * Open a session for Lightbox.open or an instance
+     * @param {Array} images
+     * @param {number} startIndex
+     * @param {Element|null} triggerElement
+     * @param {Object} callbacks
+     * @param {LightboxOptions} options
+     * @param {Lightbox|null} owner
+     * @returns {boolean}
+     * @private
      */
-    static initAll(selector = '[data-card-morph]', options = {}) {
-      // Auto-detect dependencies if not registered
-      if (!CardMorph.dependencies.gsap) {
-        CardMorph.autoDetectDependencies();
+    static #openSession(images, startIndex, triggerElement, callbacks, options, owner) {
+      if (Lightbox.#isOpen || Lightbox.#isAnimating) return false;
+      if (!images || images.length === 0) return false;
+
+      // Initialize if not done
+      if (!Lightbox.#dialog) {
+        Lightbox.init();
       }
 
-      const containers = document.querySelectorAll(selector);
-      const instances = [];
+      Lightbox.#isAnimating = true;
+      Lightbox.#images = images;
+      Lightbox.#currentIndex = startIndex;
+      Lightbox.#triggerElement = triggerElement;
+      Lightbox.#callbacks = callbacks || {};
+      Lightbox.#owner = owner;
+      Lightbox.#options = {
+        ...LIGHTBOX_DEFAULTS,
+        ...options,
+        slideshow: options.slideshow === false
+          ? false
+          : { ...DEFAULTS.slideshow, ...options.slideshow },
+        actions: { ...LIGHTBOX_DEFAULTS.actions, ...options.actions }
+      };
+      Lightbox.#strings = resolveStrings(options.locale, options.strings);
+      Lightbox.#detailsOpen = false;
+      Lightbox.#applyStrings();
+      Lightbox.#applyOptions();
+      Lightbox.#resetZoom();
 
-      containers.forEach(container => {
-        if (CardMorph.#instances.has(container)) return;
+      // Update total count
+      Lightbox.#dom.total.textContent = images.length;
 
-        const dataOptions = parseDataOptions(container);
-        const mergedOptions = mergeDeep(options, dataOptions);
+      // Build the filmstrip and slideshow controls for this set
+      Lightbox.#renderThumbnails();
+      Lightbox.#resetSlideshow();
+      Lightbox.#updateActions();
 
-        try {
-          instances.push(new CardMorph(container, mergedOptions));
-        } catch (e) {
-          console.error('CardMorph: Failed to initialize', container, e);
+      // Show dialog
+      Lightbox.#dialog.showModal();
+
+      // Load first image
+      Lightbox.#loadImage(startIndex);
+
+      // Animate open
+      Lightbox.#animateOpen().then(() => {
+        Lightbox.#isOpen = true;
+        Lightbox.#isAnimating = false;
+
+        // Enable keyboard navigation
+        // Use capture phase and stopPropagation to prevent gallery from also handling arrows
+        Lightbox.#keyHandler = (e) => {
+          // Arrow keys move focus within the filmstrip (roving tabindex)
+          if (Lightbox.#dom.thumbnails.contains(e.target) && e.key !== 'Escape') return;
+
+          if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+            Lightbox.prev();
+          } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            e.stopPropagation();
+            e.stopImmediatePropagation();
+            Lightbox.next();
+          } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            Lightbox.close();
+          } else if (e.key === 'i' && !Lightbox.#dom.infoBtn.hidden) {
+            Lightbox.#toggleDetails();
+          } else if (['+', '=', '-', '0'].includes(e.key) && !Lightbox.#isAnimating) {
+            // Zoom about the image center
+            e.preventDefault();
+            const rect = Lightbox.#dom.imageWrapper.getBoundingClientRect();
+            const factor = e.key === '-' ? 1 / 1.5 : 1.5;
+            const scale = e.key === '0' ? 1 : Lightbox.#zoom.scale * factor;
+            Lightbox.#zoomTo(scale, rect.left + rect.width / 2, rect.top + rect.height / 2, true);
+          }
+        };
+        document.addEventListener('keydown', Lightbox.#keyHandler, { capture: true });
+
+        // Focus close button
+        Lightbox.#dom.closeBtn.focus();
+
+        // Hold the slideshow while the tab is in the background
+        Lightbox.#visibilityHandler = () => Lightbox.#setHold('hidden', document.hidden);
+        document.addEventListener('visibilitychange', Lightbox.#visibilityHandler);
+
+        Lightbox.#notify('onOpen');
+
+        const { slideshow } = Lightbox.#options;
+        if (slideshow && slideshow.autoplay && !window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+          Lightbox.play();
         }
       });
 
-      return instances;
+      // Preload adjacent images
+      Lightbox.#preloadAdjacent(startIndex);
+
+      announce(formatString(Lightbox.#strings.galleryOpened, { index: startIndex + 1, total: images.length }));
+      return true;
     }
 
     /**
-     * Enable auto-initialization for dynamic content
-     * @param {string} [selector='[data-card-morph]']
-     * @param {CardMorphOptions} [options={}]
+     * Apply the session's theme, caption and control options to the dialog
+     * @private
+     */
+    static #applyOptions() {
+      const { theme, captions, controls } = Lightbox.#options;
+      const { navCaption, navControls } = Lightbox.#dom;
+
+      Lightbox.#dialog.dataset.theme = theme || LIGHTBOX_DEFAULTS.theme;
+      navCaption.hidden = !captions;
+      navControls.hidden = !controls;
+    }
+
+    /**
+     * Close lightbox
      * @static
+     * @returns {boolean} Whether closing started (false while closed or animating)
      */
-    static enableAutoInit(selector = '[data-card-morph]', options = {}) {
-      if (CardMorph.#autoInitEnabled) return;
+    static close() {
+      if (!Lightbox.#isOpen || Lightbox.#isAnimating) return false;
 
-      CardMorph.initAll(selector, options);
+      Lightbox.#isAnimating = true;
+      Lightbox.#resetSlideshow();
 
-      CardMorph.#observer = new MutationObserver(mutations => {
-        let shouldInit = false;
+      if (Lightbox.#visibilityHandler) {
+        document.removeEventListener('visibilitychange', Lightbox.#visibilityHandler);
+        Lightbox.#visibilityHandler = null;
+      }
 
-        mutations.forEach(mutation => {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType !== Node.ELEMENT_NODE) return;
+      // Remove keyboard handler (must match capture: true from addEventListener)
+      if (Lightbox.#keyHandler) {
+        document.removeEventListener('keydown', Lightbox.#keyHandler, { capture: true });
+        Lightbox.#keyHandler = null;
+      }
 
-            if (node.matches?.(selector) || node.querySelectorAll?.(selector).length) {
-              shouldInit = true;
-            }
-          });
-        });
+      if (Lightbox.#isFullscreen) {
+        document.exitFullscreen().catch(() => {});
+      }
 
-        if (shouldInit) {
-          CardMorph.initAll(selector, options);
+      Lightbox.#dom.video.pause();
+
+      // Animate close
+      Lightbox.#animateClose().then(() => {
+        Lightbox.#dialog.close();
+        Lightbox.#isOpen = false;
+        Lightbox.#isAnimating = false;
+        Lightbox.#resetZoom();
+        Lightbox.#resetVideo();
+        Lightbox.#drag = null;
+        Lightbox.#resetDrag();
+
+        // Return focus to trigger
+        if (Lightbox.#triggerElement) {
+          Lightbox.#triggerElement.focus();
         }
-      });
 
-      CardMorph.#observer.observe(document.body, {
-        childList: true,
-        subtree: true
+        announce(Lightbox.#strings.galleryClosed);
+
+        Lightbox.#notify('onClose');
+        Lightbox.#callbacks = {};
+        Lightbox.#owner = null;
       });
 
-      CardMorph.#autoInitEnabled = true;
+      return true;
     }
 
     /**
-     * Disable auto-initialization
+     * Call a session callback with the current index and image
+     * @param {string} name - Callback name
+     * @private
+     */
+    static #notify(name) {
+      const index = Lightbox.#currentIndex;
+      Lightbox.#callbacks[name]?.(index, Lightbox.#images[index]);
+    }
+
+    /**
+     * Go to previous image (the last one from the first with loop)
      * @static
      */
-    static disableAutoInit() {
-      CardMorph.#observer?.disconnect();
-      CardMorph.#observer = null;
-      CardMorph.#autoInitEnabled = false;
+    static prev() {
+      const index = Lightbox.#adjacentIndex(Lightbox.#currentIndex, -1);
+      if (Lightbox.#isAnimating || index === -1) return;
+      Lightbox.#goTo(index, 'prev');
     }
 
     /**
-     * Destroy all instances
+     * Go to next image (the first one from the last with loop)
      * @static
      */
-    static destroyAll() {
-      CardMorph.#instances.forEach(instance => instance.destroy());
+    static next() {
+      const index = Lightbox.#adjacentIndex(Lightbox.#currentIndex, 1);
+      if (Lightbox.#isAnimating || index === -1) return;
+      Lightbox.#goTo(index, 'next');
     }
 
-    // ========================================================================
-    // INSTANCE PROPERTIES
-    // ========================================================================
+    /**
+     * Index of the image before or after another, wrapping with loop
+     * @param {number} index
+     * @param {number} step - -1 or 1
+     * @returns {number} -1 at the ends without loop
+     * @private
+     */
+    static #adjacentIndex(index, step) {
+      const count = Lightbox.#images.length;
+      const target = index + step;
 
-    /** @type {Element} */
-    container;
+      if (target >= 0 && target < count) return target;
+      return Lightbox.#options.loop && count > 1 ? (target + count) % count : -1;
+    }
 
-    /** @type {CardMorphOptions} */
-    options;
+    /**
+     * Go to specific image
+     * @param {number} index
+     * @param {string} direction
+     * @param {Function} [transition] - (direction, onMidpoint) => Promise; defaults to #animateTransition
+     * @private
+     */
+    static #goTo(index, direction = 'next', transition = Lightbox.#animateTransition) {
+      if (Lightbox.#isAnimating) return;
+      if (index < 0 || index >= Lightbox.#images.length) return;
 
-    /** @type {NodeList} */
-    cards;
+      Lightbox.#isAnimating = true;
+      Lightbox.#resetZoom();
+      Lightbox.#stopSlideTimer();
+      Lightbox.#dom.video.pause();
 
-    /** @type {NodeList} */
-    views;
+      transition(direction, () => {
+        Lightbox.#currentIndex = index;
+        Lightbox.#loadImage(index);
+      }).then(() => {
+        Lightbox.#isAnimating = false;
+        Lightbox.#preloadAdjacent(index);
+        Lightbox.#notify('onChange');
 
-    /** @type {Element|null} */
-    activeView = null;
+        // Manual navigation restarts the interval too
+        if (Lightbox.#playing) Lightbox.#startSlideTimer();
+      });
+    }
 
-    /** @type {Element|null} */
-    activeCard = null;
+    /**
+     * Start the slideshow
+     * Restarts from the first image when called on the last one without loop
+     * @static
+     */
+    static play() {
+      const { slideshow } = Lightbox.#options;
+      if (!Lightbox.#isOpen || !slideshow || Lightbox.#images.length < 2 || Lightbox.#playing) return;
+
+      Lightbox.#playing = true;
+      Lightbox.#updatePlayButton();
+      announce(Lightbox.#strings.slideshowPlaying);
+
+      const atEnd = Lightbox.#currentIndex === Lightbox.#images.length - 1;
+      if (atEnd && !slideshow.loop) {
+        Lightbox.#goTo(0, 'next');
+      } else if (!Lightbox.#isAnimating) {
+        Lightbox.#startSlideTimer();
+      }
+    }
 
-    /** @type {number} */
-    scrollPosition = 0;
+    /**
+     * Pause the slideshow
+     * @static
+     */
+    static pause() {
+      if (!Lightbox.#playing) return;
 
-    /** @type {AbortController} */
-    #abortController;
+      Lightbox.#playing = false;
+      Lightbox.#stopSlideTimer();
+      Lightbox.#updatePlayButton();
+      announce(Lightbox.#strings.slideshowPaused);
+    }
 
-    /** @type {Object|null} Lenis instance */
-    #lenis = null;
+    /**
+     * Bind the play button and the hover/focus holds
+     * @private
+     */
+    static #bindSlideshow() {
+      const { playBtn, imageWrapper } = Lightbox.#dom;
+      const dialog = Lightbox.#dialog;
 
-    /** @type {Object|null} Active draggable */
-    #activeDraggable = null;
+      playBtn.addEventListener('click', () => {
+        if (Lightbox.#playing) {
+          Lightbox.pause();
+        } else {
+          Lightbox.play();
+        }
+      });
 
-    /** @type {boolean} Flag to prevent race condition in draggable creation */
-    #draggableCreating = false;
+      // Hover over the image (mouse only - touch "hover" ends with the tap)
+      imageWrapper.addEventListener('pointerenter', (e) => {
+        if (e.pointerType === 'mouse') Lightbox.#setHold('hover', true);
+      });
+      imageWrapper.addEventListener('pointerleave', () => Lightbox.#setHold('hover', false));
 
-    /** @type {Element|null} Gallery navigation container */
-    #galleryNavContainer = null;
+      // Keyboard focus on controls other than play/pause
+      dialog.addEventListener('focusin', (e) => {
+        Lightbox.#setHold('focus', e.target !== playBtn && e.target.matches(':focus-visible'));
+      });
+      dialog.addEventListener('focusout', (e) => {
+        if (!dialog.contains(e.relatedTarget)) Lightbox.#setHold('focus', false);
+      });
+    }
 
-    /** @type {Function|null} Gallery wheel handler */
-    #galleryWheelHandler = null;
+    /**
+     * Show or hide slideshow controls for the current set and stop playback
+     * @private
+     */
+    static #resetSlideshow() {
+      const { playBtn, progress } = Lightbox.#dom;
+      const enabled = Boolean(Lightbox.#options.slideshow) && Lightbox.#images.length > 1;
 
-    /** @type {Function|null} Gallery keyboard handler */
-    #galleryKeyHandler = null;
+      Lightbox.#playing = false;
+      Lightbox.#holds.clear();
+      Lightbox.#stopSlideTimer();
+      Lightbox.#updatePlayButton();
 
-    /** @type {Function|null} Resize handler */
-    #resizeHandler = null;
+      playBtn.hidden = !enabled;
+      progress.hidden = !enabled;
+    }
 
-    /** @type {Function|null} Escape key handler */
-    #boundEscapeHandler = null;
+    /**
+     * (Re)start the interval for the current image
+     * @private
+     */
+    static #startSlideTimer() {
+      const { gsap } = CardMorph.dependencies;
 
-    /** @type {Array} Lightbox event handlers for cleanup */
-    #lightboxHandlers = [];
+      Lightbox.#stopSlideTimer();
+      if (!Lightbox.#playing) return;
+
+      Lightbox.#slideTimer = gsap.fromTo(Lightbox.#dom.progressBar,
+        { scaleX: 0 },
+        {
+          scaleX: 1,
+          duration: Lightbox.#options.slideshow.interval / 1000,
+          ease: 'none',
+          paused: Lightbox.#holds.size > 0,
+          onComplete: () => Lightbox.#advanceSlideshow()
+        }
+      );
+    }
 
-    /** @type {Array} Lightbox image data for Draggable onClick callback */
-    #lightboxImageData = [];
+    /**
+     * Stop the interval and empty the progress bar
+     * @private
+     */
+    static #stopSlideTimer() {
+      const { gsap } = CardMorph.dependencies;
 
-    /** @type {ScrollTrigger[]} */
-    #scrollTriggers = [];
+      Lightbox.#slideTimer?.kill();
+      Lightbox.#slideTimer = null;
+      if (Lightbox.#dom.progressBar) {
+        gsap.set(Lightbox.#dom.progressBar, { scaleX: 0 });
+      }
+    }
 
-    /** @type {Function|null} Popstate handler for URL navigation */
-    #boundPopStateHandler = null;
+    /**
+     * Move to the next image, looping or stopping at the end
+     * @private
+     */
+    static #advanceSlideshow() {
+      const last = Lightbox.#images.length - 1;
 
-    // ========================================================================
-    // CONSTRUCTOR
-    // ========================================================================
+      if (Lightbox.#currentIndex < last) {
+        Lightbox.#goTo(Lightbox.#currentIndex + 1, 'next');
+      } else if (Lightbox.#options.slideshow.loop) {
+        Lightbox.#goTo(0, 'next');
+      } else {
+        Lightbox.pause();
+      }
+    }
 
     /**
-     * Create a CardMorph instance
-     * @param {string|Element} container - Container element or selector
-     * @param {CardMorphOptions} [options={}] - Configuration options
+     * Hold or release the running interval for a reason (hover, focus, zoom, hidden)
+     * Progress is kept, so playback resumes where it stopped
+     * @param {string} reason
+     * @param {boolean} active
+     * @private
      */
-    constructor(container, options = {}) {
-      // Resolve container
-      this.container = typeof container === 'string'
-        ? document.querySelector(container)
-        : container;
-
-      if (!this.container) {
-        throw new Error(`CardMorph: Container "${container}" not found`);
+    static #setHold(reason, active) {
+      if (active) {
+        Lightbox.#holds.add(reason);
+      } else {
+        Lightbox.#holds.delete(reason);
       }
 
-      // Check for existing instance
-      if (CardMorph.#instances.has(this.container)) {
-        console.warn('CardMorph: Instance already exists for this container');
-        return CardMorph.#instances.get(this.container);
+      Lightbox.#dialog?.classList.toggle('cm-lightbox--held', Lightbox.#playing && Lightbox.#holds.size > 0);
+
+      if (!Lightbox.#slideTimer) return;
+      if (Lightbox.#holds.size > 0) {
+        Lightbox.#slideTimer.pause();
+      } else {
+        Lightbox.#slideTimer.resume();
       }
+    }
 
-      // Auto-detect dependencies if needed
-      if (!CardMorph.dependencies.gsap) {
-        CardMorph.autoDetectDependencies();
+    /**
+     * Sync the play button and dialog state with playback
+     * @private
+     */
+    static #updatePlayButton() {
+      const { playBtn } = Lightbox.#dom;
+      const playing = Lightbox.#playing;
+
+      playBtn.setAttribute('aria-pressed', String(playing));
+      playBtn.setAttribute('aria-label', playing ? Lightbox.#strings.pauseSlideshow : Lightbox.#strings.playSlideshow);
+      Lightbox.#dialog.classList.toggle('cm-lightbox--playing', playing);
+      Lightbox.#dialog.classList.toggle('cm-lightbox--held', playing && Lightbox.#holds.size > 0);
+    }
+
+    /**
+     * Bind the fullscreen, share and download buttons
+     * @private
+     */
+    static #bindActions() {
+      const { fullscreenBtn, shareBtn, downloadBtn } = Lightbox.#dom;
+
+      fullscreenBtn.addEventListener('click', () => Lightbox.#toggleFullscreen());
+      shareBtn.addEventListener('click', () => Lightbox.#share());
+      downloadBtn.addEventListener('click', () => Lightbox.#download());
+
+      // Keep the toggle in sync when fullscreen is left with Escape or browser UI
+      document.addEventListener('fullscreenchange', () => Lightbox.#updateFullscreenButton());
+    }
+
+    /**
+     * Show the action buttons enabled for the current session
+     * @private
+     */
+    static #updateActions() {
+      const { fullscreenBtn, shareBtn, downloadBtn } = Lightbox.#dom;
+      const { actions } = Lightbox.#options;
+
+      fullscreenBtn.hidden = !(actions.fullscreen && document.fullscreenEnabled);
+      shareBtn.hidden = !actions.share;
+      downloadBtn.hidden = !actions.download;
+      Lightbox.#updateFullscreenButton();
+    }
+
+    /**
+     * Whether the lightbox dialog is the fullscreen element
+     * @returns {boolean}
+     * @private
+     */
+    static get #isFullscreen() {
+      return Boolean(Lightbox.#dialog) && document.fullscreenElement === Lightbox.#dialog;
+    }
+
+    /**
+     * Enter or leave fullscreen with the dialog as the fullscreen element
+     * @private
+     */
+    static #toggleFullscreen() {
+      const entering = !Lightbox.#isFullscreen;
+      const request = entering ? Lightbox.#dialog.requestFullscreen() : document.exitFullscreen();
+
+      request
+        .then(() => Lightbox.#notifyAction('fullscreen', { active: entering }))
+        .catch(() => {});
+    }
+
+    /**
+     * Sync the fullscreen button and dialog state
+     * @private
+     */
+    static #updateFullscreenButton() {
+      const { fullscreenBtn } = Lightbox.#dom;
+      const active = Lightbox.#isFullscreen;
+
+      fullscreenBtn.setAttribute('aria-pressed', String(active));
+      fullscreenBtn.setAttribute('aria-label', active ? Lightbox.#strings.exitFullscreen : Lightbox.#strings.enterFullscreen);
+      Lightbox.#dialog.classList.toggle('cm-lightbox--fullscreen', active);
+    }
+
+    /**
+     * Link to share for the current image: its own shareUrl, else the shareUrl
+     * option's result, else the page URL
+     * @returns {string} Absolute URL
+     * @private
+     */
+    static #getShareUrl() {
+      const index = Lightbox.#currentIndex;
+      const imageData = Lightbox.#images[index];
+      const { shareUrl } = Lightbox.#options;
+      const url = imageData.shareUrl || (typeof shareUrl === 'function' ? shareUrl(index, imageData) : '');
+
+      return url ? new URL(url, document.baseURI).href : window.location.href;
+    }
+
+    /**
+     * Share the current image's link with the Web Share API, falling back to
+     * copying it to the clipboard
+     * @private
+     */
+    static async #share() {
+      const imageData = Lightbox.#images[Lightbox.#currentIndex];
+      const url = Lightbox.#getShareUrl();
+      const data = { title: document.title, text: imageData.caption || imageData.alt || '', url };
+
+      if (navigator.share && (!navigator.canShare || navigator.canShare(data))) {
+        try {
+          await navigator.share(data);
+          Lightbox.#notifyAction('share', { method: 'share', url });
+          return;
+        } catch (error) {
+          // Dismissing the share sheet is not a failure
+          if (error.name === 'AbortError') return;
+        }
       }
 
-      // Validate required dependencies
-      if (!CardMorph.dependencies.gsap) {
-        throw new Error('CardMorph: GSAP is required. Include GSAP or call CardMorph.registerDependencies()');
+      try {
+        await navigator.clipboard.writeText(url);
+        announce(Lightbox.#strings.linkCopied);
+        Lightbox.#notifyAction('share', { method: 'clipboard', url });
+      } catch (error) {
+        announce(Lightbox.#strings.copyFailed);
       }
+    }
 
-      // Merge options
-      const dataOptions = parseDataOptions(this.container);
-      this.options = mergeDeep(mergeDeep(DEFAULTS, options), dataOptions);
+    /**
+     * Download the original of the current image (full-resolution source if set)
+     * Cross-origin files open in a new tab instead, as browsers ignore download there
+     * @private
+     */
+    static #download() {
+      const imageData = Lightbox.#images[Lightbox.#currentIndex];
+      const url = new URL(imageData.full || imageData.src, document.baseURI).href;
+
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = url.split(/[?#]/)[0].split('/').pop() || '';
+      link.target = '_blank';
+      link.rel = 'noopener';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+
+      Lightbox.#notifyAction('download', { url });
+    }
 
-      // Initialize
-      this.#init();
+    /**
+     * Call the onAction session callback for the current image
+     * @param {string} action - 'fullscreen', 'share' or 'download'
+     * @param {Object} detail - Action-specific details
+     * @private
+     */
+    static #notifyAction(action, detail) {
+      const index = Lightbox.#currentIndex;
+      Lightbox.#callbacks.onAction?.(action, index, Lightbox.#images[index], detail);
     }
 
-    // ========================================================================
-    // INITIALIZATION
-    // ========================================================================
+    /**
+     * Load the image or video at index
+     * @param {number} index
+     * @private
+     */
+    static #loadImage(index) {
+      const imageData = Lightbox.#images[index];
+      const { caption, navCaption, current, prevBtn, nextBtn, loader } = Lightbox.#dom;
+      const isVideo = imageData.type === 'video';
+
+      // Show loader
+      loader.style.display = 'block';
+      Lightbox.#fullIndex = -1;
+      Lightbox.#dialog.classList.toggle('cm-lightbox--video', isVideo);
+
+      if (isVideo) {
+        Lightbox.#loadVideo(index);
+      } else {
+        Lightbox.#resetVideo();
+        Lightbox.#loadPicture(index);
+      }
+
+      // Update caption (both the hidden one for accessibility and visible one in nav)
+      const captionText = imageData.caption || imageData.alt || '';
+      caption.textContent = captionText;
+      navCaption.textContent = captionText;
+      Lightbox.#renderDetails(imageData);
+
+      // Update counter
+      current.textContent = index + 1;
+
+      // Update button states
+      prevBtn.disabled = Lightbox.#adjacentIndex(index, -1) === -1;
+      nextBtn.disabled = Lightbox.#adjacentIndex(index, 1) === -1;
+
+      Lightbox.#updateThumbnails(index);
+    }
 
     /**
-     * Initialize the component
+     * Show the image at index in the <picture>
+     * @param {number} index
      * @private
      */
-    #init() {
-      const { gsap, ScrollTrigger, Lenis } = CardMorph.dependencies;
+    static #loadPicture(index) {
+      const imageData = Lightbox.#images[index];
+      const { image, picture, loader } = Lightbox.#dom;
 
-      // Set up abort controller for event cleanup
-      this.#abortController = new AbortController();
-      const { signal } = this.#abortController;
+      image.onload = () => {
+        if (Lightbox.#currentIndex === index) loader.style.display = 'none';
+      };
+      image.onerror = () => {
+        if (Lightbox.#currentIndex !== index) return;
+        image.alt = Lightbox.#strings.imageError;
+        loader.style.display = 'none';
+      };
 
-      // Query elements
-      this.cards = this.container.querySelectorAll(this.options.cardSelector);
-      this.views = this.container.querySelectorAll(this.options.viewSelector);
+      // The browser picks format (AVIF/WebP/JPG) and width for the DPR
+      image.alt = imageData.alt || '';
+      Lightbox.#applySources(picture, imageData, Lightbox.#getDisplayWidth(imageData));
 
-      // Bind card events
-      this.cards.forEach(card => {
-        card.addEventListener('click', () => this.#openView(card), { signal });
-        card.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            this.#openView(card);
-          }
-        }, { signal });
+      // Same URL as before - no load event will follow
+      requestAnimationFrame(() => {
+        if (Lightbox.#currentIndex === index && image.complete && image.naturalWidth > 0) {
+          loader.style.display = 'none';
+        }
+      });
+    }
 
-        // Ensure focusable
-        if (!card.hasAttribute('tabindex')) {
-          card.setAttribute('tabindex', '0');
+    /**
+     * Show the video at index with native controls (playback is left to the user)
+     * @param {number} index
+     * @private
+     */
+    static #loadVideo(index) {
+      const imageData = Lightbox.#images[index];
+      const { video, loader } = Lightbox.#dom;
+      const label = imageData.alt || Lightbox.#strings.galleryVideo;
+
+      video.onloadeddata = () => {
+        if (Lightbox.#currentIndex === index) loader.style.display = 'none';
+      };
+      video.onerror = () => {
+        if (Lightbox.#currentIndex !== index) return;
+        video.setAttribute('aria-label', Lightbox.#strings.videoError);
+        loader.style.display = 'none';
+      };
+
+      video.setAttribute('aria-label', label);
+      video.poster = imageData.poster || '';
+      video.src = Lightbox.#getVideoSrc(imageData);
+    }
+
+    /**
+     * Stop the lightbox video and release its source
+     * @private
+     */
+    static #resetVideo() {
+      const { video } = Lightbox.#dom;
+      if (!video.hasAttribute('src')) return;
+
+      video.pause();
+      video.removeAttribute('src');
+      video.removeAttribute('poster');
+      video.load();
+    }
+
+    /**
+     * First source the browser can play (sources are listed by preference)
+     * @param {Object} imageData - {src, sources?}
+     * @returns {string}
+     * @private
+     */
+    static #getVideoSrc(imageData) {
+      const { video } = Lightbox.#dom;
+      const playable = (imageData.sources || []).find(source => !source.type || video.canPlayType(source.type) !== '');
+      return playable?.src || imageData.src;
+    }
+
+    /**
+     * Whether the current item is a video
+     * @returns {boolean}
+     * @private
+     */
+    static get #isVideo() {
+      return Lightbox.#images[Lightbox.#currentIndex]?.type === 'video';
+    }
+
+    /**
+     * Still image for an item: the image itself, or a video's poster
+     * @param {Object} imageData
+     * @returns {Object} {src, srcset?, sources?}
+     * @private
+     */
+    static #getStill(imageData) {
+      return imageData.type === 'video' ? { src: imageData.poster || '' } : imageData;
+    }
+
+    /**
+     * Fill the details panel with an image's metadata
+     * The toggle is hidden for images without any
+     * @param {Object} imageData
+     * @private
+     */
+    static #renderDetails(imageData) {
+      const { details, infoBtn } = Lightbox.#dom;
+      const strings = Lightbox.#strings;
+      const meta = imageData.meta || {};
+      const rows = META_FIELDS.filter(field => field !== 'title' && meta[field]);
+      const available = Lightbox.#options.details !== false && Boolean(meta.title || rows.length);
+
+      details.replaceChildren();
+      infoBtn.hidden = !available;
+
+      if (available) {
+        if (meta.title) {
+          const heading = document.createElement('h3');
+          heading.className = 'cm-lightbox__details-title';
+          heading.textContent = meta.title;
+          details.appendChild(heading);
+        }
+
+        if (rows.length > 0) {
+          const list = document.createElement('dl');
+          list.className = 'cm-lightbox__details-list';
+          rows.forEach(field => {
+            const term = document.createElement('dt');
+            term.textContent = strings[field];
+            const value = document.createElement('dd');
+            value.textContent = meta[field];
+            list.append(term, value);
+          });
+          details.appendChild(list);
+        }
+      }
+
+      details.hidden = !(available && Lightbox.#detailsOpen);
+      Lightbox.#dialog.classList.toggle('cm-lightbox--details', !details.hidden);
+    }
+
+    /**
+     * Expand or collapse the details panel
+     * @private
+     */
+    static #toggleDetails() {
+      const { details, infoBtn } = Lightbox.#dom;
+
+      Lightbox.#detailsOpen = !Lightbox.#detailsOpen;
+      details.hidden = infoBtn.hidden || !Lightbox.#detailsOpen;
+      Lightbox.#dialog.classList.toggle('cm-lightbox--details', !details.hidden);
+      Lightbox.#updateInfoButton();
+    }
+
+    /**
+     * Sync the details toggle label and state
+     * @private
+     */
+    static #updateInfoButton() {
+      const { infoBtn } = Lightbox.#dom;
+      const open = Lightbox.#detailsOpen;
+
+      infoBtn.setAttribute('aria-expanded', String(open));
+      infoBtn.setAttribute('aria-label', open ? Lightbox.#strings.hideDetails : Lightbox.#strings.showDetails);
+    }
+
+    /**
+     * Render the thumbnail filmstrip for the current images
+     * Thumbnails load lazily and use the smallest srcset variant
+     * @private
+     */
+    static #renderThumbnails() {
+      const { thumbnails } = Lightbox.#dom;
+      const enabled = Lightbox.#options.thumbnails !== false && Lightbox.#images.length > 1;
+
+      thumbnails.hidden = !enabled;
+      Lightbox.#dialog.classList.toggle('cm-lightbox--thumbnails', enabled);
+
+      if (!enabled) {
+        thumbnails.replaceChildren();
+        return;
+      }
+
+      thumbnails.replaceChildren(...Lightbox.#images.map((imageData, index) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'cm-lightbox__thumbnail';
+        button.classList.toggle('cm-lightbox__thumbnail--video', imageData.type === 'video');
+        button.dataset.index = index;
+        button.tabIndex = -1;
+        button.setAttribute('aria-label', formatString(Lightbox.#strings.showImage, {
+          index: index + 1,
+          alt: imageData.alt || Lightbox.#strings.galleryImage
+        }));
+
+        const picture = document.createElement('picture');
+        const img = new Image();
+        img.alt = '';
+        img.loading = 'lazy';
+        img.decoding = 'async';
+        picture.appendChild(img);
+        Lightbox.#applySources(picture, Lightbox.#getStill(imageData), Lightbox.#thumbnailWidth);
+
+        button.appendChild(picture);
+        return button;
+      }));
+    }
+
+    /**
+     * Highlight the current thumbnail, make it the tab stop and scroll it into view
+     * @param {number} index
+     * @private
+     */
+    static #updateThumbnails(index) {
+      const { thumbnails } = Lightbox.#dom;
+      if (thumbnails.hidden) return;
+
+      const buttons = thumbnails.querySelectorAll('.cm-lightbox__thumbnail');
+      buttons.forEach((button, i) => {
+        const isCurrent = i === index;
+        button.classList.toggle('cm-lightbox__thumbnail--active', isCurrent);
+        button.tabIndex = isCurrent ? 0 : -1;
+        if (isCurrent) {
+          button.setAttribute('aria-current', 'true');
+        } else {
+          button.removeAttribute('aria-current');
         }
-        card.setAttribute('role', 'button');
       });
 
-      // Bind close buttons
-      this.views.forEach(view => {
-        const closeBtn = view.querySelector('.cm-view__close');
-        if (closeBtn) {
-          closeBtn.addEventListener('click', () => this.close(), { signal });
+      const active = buttons[index];
+      if (!active) return;
+
+      // Scroll the strip only - scrollIntoView would also move the dialog
+      const left = active.offsetLeft - (thumbnails.clientWidth - active.offsetWidth) / 2;
+      const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      thumbnails.scrollTo({ left: Math.max(0, left), behavior: reduceMotion ? 'auto' : 'smooth' });
+    }
+
+    /**
+     * Show the image for a thumbnail
+     * @param {Element} thumbnail
+     * @private
+     */
+    static #goToThumbnail(thumbnail) {
+      const index = parseInt(thumbnail.dataset.index, 10);
+      if (isNaN(index) || index === Lightbox.#currentIndex) return;
+
+      Lightbox.#goTo(index, index > Lightbox.#currentIndex ? 'next' : 'prev');
+    }
+
+    /**
+     * Roving tabindex: arrows/Home/End move focus between thumbnails,
+     * Enter/Space (native button click) shows the focused image
+     * @param {KeyboardEvent} e
+     * @private
+     */
+    static #handleThumbnailKey(e) {
+      const buttons = Array.from(Lightbox.#dom.thumbnails.querySelectorAll('.cm-lightbox__thumbnail'));
+      const index = buttons.indexOf(e.target);
+      if (index === -1) return;
+
+      const targets = {
+        ArrowLeft: index - 1,
+        ArrowRight: index + 1,
+        Home: 0,
+        End: buttons.length - 1
+      };
+      if (!(e.key in targets)) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+
+      const next = buttons[Math.max(0, Math.min(buttons.length - 1, targets[e.key]))];
+      buttons.forEach(button => { button.tabIndex = button === next ? 0 : -1; });
+      next.focus();
+    }
+
+    /**
+     * Preload adjacent images
+     * @param {number} index
+     * @private
+     */
+    static #preloadAdjacent(index) {
+      const preloadIndices = [...new Set([
+        Lightbox.#adjacentIndex(index, -1),
+        Lightbox.#adjacentIndex(index, 1)
+      ])].filter(i => i !== -1);
+
+      // Hidden <picture> elements so the preload picks the same variant the
+      // browser will choose once the image is shown (replacing cancels stale ones)
+      // Videos preload their poster and metadata only
+      Lightbox.#dom.preload.replaceChildren(...preloadIndices.flatMap(i => {
+        const imageData = Lightbox.#images[i];
+        const still = Lightbox.#getStill(imageData);
+        const elements = [];
+
+        if (still.src) {
+          const picture = document.createElement('picture');
+          picture.appendChild(new Image());
+          Lightbox.#applySources(picture, still, Lightbox.#getDisplayWidth(imageData));
+          elements.push(picture);
+        }
+
+        if (imageData.type === 'video') {
+          const video = document.createElement('video');
+          video.preload = 'metadata';
+          video.muted = true;
+          video.src = Lightbox.#getVideoSrc(imageData);
+          elements.push(video);
         }
+
+        return elements;
+      }));
+    }
+
+    /**
+     * Point a <picture> at an image's sources
+     * `sizes` is the rendered width, so the browser multiplies it by the
+     * device pixel ratio and takes the smallest srcset candidate that covers it
+     * @param {HTMLPictureElement} picture
+     * @param {Object} imageData - {src, srcset?, sources?}
+     * @param {number} [width] - Rendered CSS width in px
+     * @private
+     */
+    static #applySources(picture, imageData, width = 0) {
+      const img = picture.querySelector('img');
+      const sizes = width > 0 ? `${Math.round(width)}px` : '';
+
+      picture.querySelectorAll('source').forEach(source => source.remove());
+
+      (imageData.sources || []).forEach(({ srcset, type, media }) => {
+        const source = document.createElement('source');
+        if (type) source.type = type;
+        if (media) source.media = media;
+        if (sizes) source.sizes = sizes;
+        source.srcset = srcset;
+        picture.insertBefore(source, img);
       });
 
-      // Initialize smooth scroll
-      if (this.options.smoothScroll && Lenis) {
-        this.#initLenis();
+      // sizes must be set before srcset so the first selection uses it
+      if (imageData.srcset && sizes) {
+        img.sizes = sizes;
+      } else {
+        img.removeAttribute('sizes');
       }
 
-      // Initialize card stacking
-      if (this.options.cardStacking && ScrollTrigger) {
-        this.#initCardStacking();
+      if (imageData.srcset) {
+        img.srcset = imageData.srcset;
+      } else {
+        img.removeAttribute('srcset');
       }
 
-      // Register instance
-      CardMorph.#instances.set(this.container, this);
+      img.src = imageData.src;
+    }
+
+    /**
+     * Width an image renders at in the lightbox (90vw x 80vh, aspect ratio kept)
+     * @param {Object} imageData - {width?, height?}
+     * @returns {number} CSS px
+     * @private
+     */
+    static #getDisplayWidth(imageData) {
+      const maxWidth = window.innerWidth * 0.9;
+      const maxHeight = window.innerHeight * 0.8;
+
+      if (!imageData.width || !imageData.height) return maxWidth;
+
+      return Math.min(maxWidth, maxHeight * imageData.width / imageData.height);
+    }
+
+    /**
+     * Animate lightbox open
+     * @returns {Promise}
+     * @private
+     */
+    static #animateOpen() {
+      const { gsap } = CardMorph.dependencies;
+      const { overlay, container } = Lightbox.#dom;
+
+      return new Promise(resolve => {
+        gsap.set(overlay, { opacity: 0 });
+        gsap.set(container, { opacity: 0, scale: 0.9 });
+
+        const tl = gsap.timeline({ onComplete: resolve });
+
+        tl.to(overlay, {
+          opacity: 1,
+          duration: 0.3,
+          ease: 'power2.out'
+        })
+        .to(container, {
+          opacity: 1,
+          scale: 1,
+          duration: 0.4,
+          ease: 'expo.out'
+        }, '<0.1');
+      });
+    }
+
+    /**
+     * Animate lightbox close
+     * @returns {Promise}
+     * @private
+     */
+    static #animateClose() {
+      const { gsap } = CardMorph.dependencies;
+      const { overlay, container } = Lightbox.#dom;
+
+      return new Promise(resolve => {
+        const tl = gsap.timeline({ onComplete: resolve });
+
+        tl.to(container, {
+          opacity: 0,
+          scale: 0.95,
+          duration: 0.25,
+          ease: 'power1.in'
+        })
+        .to(overlay, {
+          opacity: 0,
+          duration: 0.2,
+          ease: 'power2.in'
+        }, '<0.1');
+      });
+    }
+
+    /**
+     * Animate image transition
+     * @param {string} direction
+     * @param {Function} onMidpoint
+     * @returns {Promise}
+     * @private
+     */
+    static #animateTransition(direction, onMidpoint) {
+      const { gsap } = CardMorph.dependencies;
+      const { image } = Lightbox.#dom;
+      const xOffset = direction === 'next' ? -50 : 50;
+
+      return new Promise(resolve => {
+        const tl = gsap.timeline({ onComplete: resolve });
+
+        tl.to(image, {
+          x: xOffset,
+          opacity: 0,
+          duration: 0.15,
+          ease: 'power2.in'
+        })
+        .call(onMidpoint)
+        .fromTo(image,
+          { x: -xOffset, opacity: 0 },
+          { x: 0, opacity: 1, duration: 0.15, ease: 'power2.out' }
+        );
+      });
+    }
+
+    /**
+     * Check if lightbox is open
+     * @returns {boolean}
+     * @static
+     */
+    static get isOpen() {
+      return Lightbox.#isOpen;
+    }
+
+    /**
+     * Check if the slideshow is playing (true while temporarily held)
+     * @returns {boolean}
+     * @static
+     */
+    static get isPlaying() {
+      return Lightbox.#playing;
+    }
+
+    /**
+     * Get the instance bound to a group container or trigger
+     * @param {Element} element
+     * @returns {Lightbox|undefined}
+     * @static
+     */
+    static getInstance(element) {
+      return Lightbox.#instances.get(element);
+    }
+
+    /**
+     * Bind lightbox markup: every [data-lightbox-group] container becomes one
+     * gallery; [data-lightbox] elements outside them open on their own, or as
+     * one gallery per shared value (data-lightbox="kitchen")
+     * Already bound elements are skipped
+     * @param {Element|Document} [root=document] - Where to look
+     * @param {LightboxOptions} [options={}] - Options for every new instance
+     * @returns {Lightbox[]} New instances
+     * @static
+     */
+    static initAll(root = document, options = {}) {
+      const instances = [];
+      const named = new Map();
+
+      root.querySelectorAll('[data-lightbox-group]').forEach(group => {
+        if (!Lightbox.#instances.has(group)) instances.push(new Lightbox(group, options));
+      });
+
+      root.querySelectorAll('[data-lightbox]').forEach(element => {
+        if (element.closest('[data-lightbox-group]') || Lightbox.#instances.has(element)) return;
+
+        const name = element.dataset.lightbox;
+        if (!name) {
+          instances.push(new Lightbox(element, options));
+          return;
+        }
+        if (!named.has(name)) named.set(name, []);
+        named.get(name).push(element);
+      });
+
+      named.forEach(elements => instances.push(new Lightbox(elements, options)));
+
+      return instances;
+    }
+
+    /**
+     * Links and images inside a group, in document order
+     * Links must wrap an image; images inside those links are skipped
+     * @param {Element} root
+     * @returns {Element[]}
+     * @private
+     */
+    static #collectTriggers(root) {
+      if (root.matches('a[href], img, video')) return [root];
+
+      return Array.from(root.querySelectorAll('a[href], img, video')).filter(element => {
+        if (element.tagName === 'A') return Boolean(element.querySelector('img, video'));
+        const link = element.closest('a[href]');
+        return !link || !root.contains(link);
+      });
+    }
+
+    /** @type {string|Element|Array} Target passed to the constructor */
+    #target = null;
+
+    /** @type {Array<Element|Object>} Triggers and image objects, in gallery order */
+    #items = [];
+
+    /** @type {Array} Image objects for #items */
+    #imageData = [];
+
+    /** @type {Element[]} Triggers given tabindex/role/aria-label by #bind */
+    #decorated = [];
+
+    /** @type {AbortController|null} Trigger listeners */
+    #abortController = null;
+
+    /**
+     * Create a lightbox gallery with its own options
+     * Opening it uses the shared dialog, so only one lightbox is open at a time
+     * @param {string|Element|Array<Element|Object>} target - Group container or trigger
+     *   (element or selector), an array of triggers, or an array of image objects
+     * @param {LightboxOptions} [options={}] - data-lightbox-* attributes on the
+     *   container (or first trigger) override these
+     */
+    constructor(target, options = {}) {
+      const element = typeof target === 'string' ? document.querySelector(target) : target;
+
+      if (!element) {
+        throw new Error(`Lightbox: Target "${target}" not found`);
+      }
+
+      if (!Array.isArray(element) && Lightbox.#instances.has(element)) {
+        console.warn('Lightbox: Instance already exists for this element');
+        return Lightbox.#instances.get(element);
+      }
+
+      if (!CardMorph.dependencies.gsap) {
+        CardMorph.autoDetectDependencies();
+      }
+
+      if (!CardMorph.dependencies.gsap) {
+        throw new Error('Lightbox: GSAP is required. Include GSAP or call CardMorph.registerDependencies()');
+      }
+
+      /** @type {Element|null} Group container or single trigger (null for arrays) */
+      this.element = Array.isArray(element) ? null : element;
+
+      const optionSource = this.element || element.find(item => item instanceof Element);
+      const dataOptions = optionSource ? parseDataOptions(optionSource, 'lightbox', LIGHTBOX_DEFAULTS) : {};
+      delete dataOptions.group;
+
+      /** @type {LightboxOptions} Read on every open */
+      this.options = mergeDeep(mergeDeep(LIGHTBOX_DEFAULTS, options), dataOptions);
+
+      this.#target = element;
+      if (this.element) Lightbox.#instances.set(this.element, this);
+
+      this.refresh();
+    }
+
+    /**
+     * Image objects of this gallery
+     * @returns {Array}
+     */
+    get images() {
+      return [...this.#imageData];
+    }
+
+    /**
+     * Whether this gallery opened the lightbox and it is still open
+     * @returns {boolean}
+     */
+    get isOpen() {
+      return Lightbox.#owner === this && (Lightbox.#isOpen || Lightbox.#isAnimating);
+    }
+
+    /**
+     * Open at an image
+     * @param {number} [index=0]
+     * @param {Element} [triggerElement] - Focus returns here on close (defaults to the image's trigger)
+     * @returns {boolean} Whether it opened (false while another lightbox is open)
+     */
+    open(index = 0, triggerElement = null) {
+      const { onOpen, onChange, onClose, onAction } = this.options;
+      const start = Math.min(Math.max(index, 0), this.#imageData.length - 1);
+      const trigger = triggerElement || (this.#items[start] instanceof Element ? this.#items[start] : null);
+      const notify = (callback) => (i, image) => callback?.(i, image, this);
+
+      return Lightbox.#openSession(this.#imageData, start, trigger, {
+        onOpen: notify(onOpen),
+        onChange: notify(onChange),
+        onClose: notify(onClose),
+        onAction: (action, i, image, detail) => onAction?.(action, i, image, detail, this)
+      }, this.options, this);
+    }
+
+    /**
+     * Close the lightbox if this gallery opened it
+     */
+    close() {
+      if (Lightbox.#owner === this) Lightbox.close();
+    }
+
+    /**
+     * Re-read triggers and images (after the group's markup changed)
+     * @returns {Lightbox}
+     */
+    refresh() {
+      this.#unbind();
+
+      this.#items = Array.isArray(this.#target)
+        ? [...this.#target]
+        : Lightbox.#collectTriggers(this.#target);
+      this.#imageData = this.#items.map(item => (item instanceof Element ? getLightboxImage(item) : item));
+
+      this.#bind();
+      return this;
+    }
+
+    /**
+     * Make triggers open the lightbox on click, Enter and Space
+     * @private
+     */
+    #bind() {
+      this.#abortController = new AbortController();
+      const { signal } = this.#abortController;
+      const strings = resolveStrings(this.options.locale, this.options.strings);
+
+      this.#items.forEach((trigger, index) => {
+        if (!(trigger instanceof Element)) return;
+
+        Lightbox.#instances.set(trigger, this);
+
+        // Links are focusable and activate on Enter already
+        if (trigger.tagName !== 'A') {
+          trigger.setAttribute('tabindex', '0');
+          trigger.setAttribute('role', 'button');
+          trigger.setAttribute('aria-label', formatString(strings.viewImage, {
+            index: index + 1,
+            alt: this.#imageData[index].alt || strings.galleryImage
+          }));
+          this.#decorated.push(trigger);
+
+          trigger.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              this.open(index, trigger);
+            }
+          }, { signal });
+        }
+
+        trigger.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.open(index, trigger);
+        }, { signal });
+      });
+    }
+
+    /**
+     * Remove trigger listeners and the attributes #bind added
+     * @private
+     */
+    #unbind() {
+      this.#abortController?.abort();
+      this.#abortController = null;
+
+      this.#decorated.forEach(trigger => {
+        trigger.removeAttribute('tabindex');
+        trigger.removeAttribute('role');
+        trigger.removeAttribute('aria-label');
+      });
+      this.#decorated = [];
+
+      this.#items.forEach(item => {
+        if (item instanceof Element && item !== this.element) Lightbox.#instances.delete(item);
+      });
+    }
+
+    /**
+     * Unbind the triggers (closes the lightbox if this gallery opened it)
+     */
+    destroy() {
+      this.close();
+      this.#unbind();
+      if (this.element) Lightbox.#instances.delete(this.element);
+      this.#items = [];
+      this.#imageData = [];
+    }
+  }
+
+  // ==========================================================================
+  // PAGE COORDINATOR
+  // ==========================================================================
+
+  /**
+   * Page-wide state shared by every CardMorph instance
+   * Owns the single Lenis loop, body scroll locking and hash routing, so
+   * several containers on one page don't fight over scroll or history
+   * @class
+   */
+  class PageCoordinator {
+    /** @type {Map<Object, {ownsView: Function, onRoute: Function}>} Registered instances */
+    static #instances = new Map();
+
+    /** @type {Object|null} Shared Lenis instance */
+    static #lenis = null;
+
+    /** @type {Function|null} gsap.ticker callback driving Lenis */
+    static #tickerCallback = null;
+
+    /** @type {Function|null} Popstate handler */
+    static #popStateHandler = null;
+
+    /** @type {Object|null} Instance currently holding the scroll lock */
+    static #lockOwner = null;
+
+    /** @type {number} Page scroll position saved when the lock was taken */
+    static #scrollPosition = 0;
+
+    /**
+     * Register an instance and route the current hash to it if it owns the view
+     * @param {Object} instance - CardMorph instance
+     * @param {Object} handlers
+     * @param {Function} handlers.ownsView - (viewId) => boolean
+     * @param {Function} handlers.onRoute - (route, owns) => void
+     * @static
+     */
+    static register(instance, handlers) {
+      PageCoordinator.#instances.set(instance, handlers);
+      PageCoordinator.#syncLenis();
+
+      if (!PageCoordinator.#popStateHandler) {
+        PageCoordinator.#popStateHandler = () => PageCoordinator.#handlePopState();
+        window.addEventListener('popstate', PageCoordinator.#popStateHandler);
+      }
+
+      // Deep link on page load (#view, #view/7, #view/7/lightbox)
+      const route = parseRoute(window.location.hash);
+      if (route.view && handlers.ownsView(route.view)) {
+        // Open after a short delay to ensure page is ready
+        requestAnimationFrame(() => {
+          if (PageCoordinator.#instances.has(instance)) {
+            handlers.onRoute(route, true);
+          }
+        });
+      }
+    }
+
+    /**
+     * Unregister an instance, releasing anything only it was using
+     * @param {Object} instance
+     * @static
+     */
+    static unregister(instance) {
+      PageCoordinator.unlock(instance);
+      PageCoordinator.#instances.delete(instance);
+      PageCoordinator.#syncLenis();
+
+      if (PageCoordinator.#instances.size === 0 && PageCoordinator.#popStateHandler) {
+        window.removeEventListener('popstate', PageCoordinator.#popStateHandler);
+        PageCoordinator.#popStateHandler = null;
+      }
+    }
+
+    /**
+     * Re-evaluate the shared Lenis after an instance changed its options
+     * @param {boolean} [restart=false] - Recreate Lenis so new `lenis` options apply
+     * @static
+     */
+    static refresh(restart = false) {
+      if (restart && PageCoordinator.#lenis) {
+        PageCoordinator.#destroyLenis();
+      }
+      PageCoordinator.#syncLenis();
+    }
+
+    /**
+     * Create or destroy the shared Lenis depending on whether any instance wants it
+     * The first instance with smoothScroll enabled provides the Lenis options
+     * @private
+     * @static
+     */
+    static #syncLenis() {
+      const { gsap, ScrollTrigger, Lenis } = CardMorph.dependencies;
+      const wanting = Array.from(PageCoordinator.#instances.keys())
+        .find(instance => instance.options.smoothScroll);
+
+      if (wanting && !PageCoordinator.#lenis && Lenis && gsap) {
+        PageCoordinator.#lenis = new Lenis({
+          ...wanting.options.lenis,
+          // Prevent Lenis from handling scroll inside views
+          prevent: (node) => node.closest('.cm-view')
+        });
+
+        if (ScrollTrigger) {
+          PageCoordinator.#lenis.on('scroll', ScrollTrigger.update);
+        }
+
+        PageCoordinator.#tickerCallback = (time) => {
+          PageCoordinator.#lenis?.raf(time * 1000);
+        };
+        gsap.ticker.add(PageCoordinator.#tickerCallback);
+        gsap.ticker.lagSmoothing(0);
+
+        if (PageCoordinator.#lockOwner) PageCoordinator.#lenis.stop();
+      } else if (!wanting && PageCoordinator.#lenis) {
+        PageCoordinator.#destroyLenis();
+      }
+    }
+
+    /**
+     * Stop driving and destroy the shared Lenis
+     * @private
+     * @static
+     */
+    static #destroyLenis() {
+      CardMorph.dependencies.gsap?.ticker.remove(PageCoordinator.#tickerCallback);
+      PageCoordinator.#tickerCallback = null;
+      PageCoordinator.#lenis.destroy();
+      PageCoordinator.#lenis = null;
+    }
+
+    /**
+     * Lock body scroll for an open view
+     * @param {Object} instance - Instance taking the lock
+     * @returns {number} Page scroll position to restore on unlock
+     * @static
+     */
+    static lock(instance) {
+      // Already locked (e.g. handed over between instances) - keep original position
+      if (!PageCoordinator.#lockOwner) {
+        PageCoordinator.#scrollPosition = window.scrollY;
+      }
+      PageCoordinator.#lockOwner = instance;
+
+      // Stop Lenis with error handling
+      try {
+        PageCoordinator.#lenis?.stop();
+      } catch (e) {
+        console.warn('CardMorph: Error stopping Lenis', e);
+      }
+
+      // Lock body scroll (mobile Safari requires touch-action too)
+      document.body.style.overflow = 'hidden';
+      document.body.style.position = 'fixed';
+      document.body.style.top = `-${PageCoordinator.#scrollPosition}px`;
+      document.body.style.width = '100%';
+      document.body.style.touchAction = 'none';
+      document.documentElement.style.overflow = 'hidden';
+      document.body.classList.add('cm-no-scroll');
+
+      return PageCoordinator.#scrollPosition;
+    }
+
+    /**
+     * Restore body scroll and page position
+     * Ignored unless the instance holds the lock, so a closing view can't
+     * unlock the page underneath another instance's open view
+     * @param {Object} instance
+     * @returns {boolean} Whether the lock was released
+     * @static
+     */
+    static unlock(instance) {
+      if (PageCoordinator.#lockOwner !== instance) return false;
+
+      PageCoordinator.#lockOwner = null;
+
+      document.body.style.overflow = '';
+      document.body.style.position = '';
+      document.body.style.top = '';
+      document.body.style.width = '';
+      document.body.style.touchAction = '';
+      document.documentElement.style.overflow = '';
+      document.body.classList.remove('cm-no-scroll');
+      window.scrollTo(0, PageCoordinator.#scrollPosition);
+
+      return true;
+    }
+
+    /**
+     * Resume Lenis once the page is unlocked
+     * @static
+     */
+    static resumeScroll() {
+      // Small delay to ensure DOM is ready on mobile Safari
+      setTimeout(() => {
+        if (PageCoordinator.#lockOwner) return;
+        try {
+          PageCoordinator.#lenis?.start();
+        } catch (e) {
+          console.warn('CardMorph: Error starting Lenis', e);
+        }
+      }, 50);
+    }
+
+    /**
+     * Write a route to the URL hash
+     * @param {string} hash - Hash without the leading #
+     * @param {boolean} [replace=false] - Replace the current entry instead of pushing
+     * @static
+     */
+    static navigate(hash, replace = false) {
+      const method = replace ? 'replaceState' : 'pushState';
+      history[method]({ cmView: hash.split('/')[0] }, '', `#${hash}`);
+    }
+
+    /**
+     * Clear the URL hash
+     * @static
+     */
+    static clearHash() {
+      history.pushState({}, '', window.location.pathname + window.location.search);
+    }
+
+    /**
+     * Send a history change to the instance that owns the view id
+     * Other instances with an open view close it first, so only one view is open
+     * @private
+     * @static
+     */
+    static #handlePopState() {
+      const route = parseRoute(window.location.hash);
+      const entries = Array.from(PageCoordinator.#instances.entries());
+      const owner = route.view
+        ? entries.find(([, handlers]) => handlers.ownsView(route.view))
+        : null;
+
+      // Unknown view id - leave every instance as it is
+      if (route.view && !owner) return;
+
+      entries.forEach(([instance, handlers]) => {
+        if (!owner || instance !== owner[0]) handlers.onRoute(route, false);
+      });
+      owner?.[1].onRoute(route, true);
+    }
+  }
+
+  // ==========================================================================
+  // CARD MORPH CLASS
+  // ==========================================================================
+
+  /**
+   * Card Morph Gallery Component
+   * @class
+   */
+  class CardMorph {
+    /** @type {Object} Registered external dependencies */
+    static dependencies = {
+      gsap: null,
+      ScrollTrigger: null,
+      Flip: null,
+      Draggable: null,
+      Lenis: null
+    };
+
+    /** @type {Object<string, CardMorphStrings>} Built-in language packs - add one with CardMorph.strings.de = {...} */
+    static strings = STRINGS;
+
+    /** @type {typeof Lightbox} Lightbox class, for use without a CardMorph container */
+    static Lightbox = Lightbox;
+
+    /** @type {Map<Element, CardMorph>} Instance registry */
+    static #instances = new Map();
+
+    /** @type {boolean} Auto-init enabled */
+    static #autoInitEnabled = false;
+
+    /** @type {MutationObserver|null} */
+    static #observer = null;
+
+    // ========================================================================
+    // STATIC METHODS
+    // ========================================================================
+
+    /**
+     * Register external dependencies
+     * @param {Object} deps - Dependencies object
+     * @static
+     */
+    static registerDependencies(deps) {
+      Object.assign(CardMorph.dependencies, deps);
+
+      const { gsap, ScrollTrigger, Flip, Draggable } = CardMorph.dependencies;
+
+      // Register GSAP plugins
+      if (gsap) {
+        if (ScrollTrigger) gsap.registerPlugin(ScrollTrigger);
+        if (Flip) gsap.registerPlugin(Flip);
+        if (Draggable) gsap.registerPlugin(Draggable);
+      }
+    }
+
+    /**
+     * Auto-detect globally available dependencies
+     * @static
+     */
+    static autoDetectDependencies() {
+      const global = typeof globalThis !== 'undefined' ? globalThis : window;
+
+      CardMorph.registerDependencies({
+        gsap: global.gsap || null,
+        ScrollTrigger: global.ScrollTrigger || null,
+        Flip: global.Flip || null,
+        Draggable: global.Draggable || null,
+        Lenis: global.Lenis || null
+      });
+    }
+
+    /**
+     * Get instance for element
+     * @param {Element} element
+     * @returns {CardMorph|undefined}
+     * @static
+     */
+    static getInstance(element) {
+      return CardMorph.#instances.get(element);
+    }
+
+    /**
+     * Get all instances
+     * @returns {CardMorph[]}
+     * @static
+     */
+    static getInstances() {
+      return Array.from(CardMorph.#instances.values());
+    }
+
+    /**
+     * Initialize all matching elements
+     * @param {string} [selector='[data-card-morph]'] - Container selector
+     * @param {CardMorphOptions} [options={}] - Default options
+     * @returns {CardMorph[]}
+     * @static
+     */
+    static initAll(selector = '[data-card-morph]', options = {}) {
+      // Auto-detect dependencies if not registered
+      if (!CardMorph.dependencies.gsap) {
+        CardMorph.autoDetectDependencies();
+      }
+
+      const containers = document.querySelectorAll(selector);
+      const instances = [];
+
+      containers.forEach(container => {
+        if (CardMorph.#instances.has(container)) return;
+
+        const dataOptions = parseDataOptions(container);
+        const mergedOptions = mergeDeep(options, dataOptions);
+
+        try {
+          instances.push(new CardMorph(container, mergedOptions));
+        } catch (e) {
+          console.error('CardMorph: Failed to initialize', container, e);
+        }
+      });
+
+      return instances;
+    }
+
+    /**
+     * Render cards and views from data, then initialize
+     * Replaces the container's content and any existing instance on it
+     * @param {string|Element} container - Container element or selector
+     * @param {CardMorphData|CardMorphItem[]} data - Items (or object with items and labels)
+     * @param {CardMorphOptions} [options={}] - Configuration options
+     * @returns {CardMorph}
+     * @static
+     */
+    static render(container, data, options = {}) {
+      const element = typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+      if (!element) {
+        throw new Error(`CardMorph: Container "${container}" not found`);
+      }
+
+      const normalized = Array.isArray(data) ? { items: data } : data;
+      if (!Array.isArray(normalized?.items)) {
+        throw new Error('CardMorph: render() data must be an array of items or { items: [...] }');
+      }
+
+      CardMorph.#instances.get(element)?.destroy();
+
+      const items = normalized.items.filter(item => item && item.id);
+      const strings = resolveStrings(options.locale || element.dataset.cmLocale || element.closest('[lang]')?.lang, options.strings);
+      element.innerHTML = items.map(item => renderCard(item, normalized, strings)).join('') +
+        items.map(item => renderView(item, normalized, strings)).join('');
+
+      return new CardMorph(element, options);
+    }
+
+    /**
+     * Fetch JSON data, render it into a container, then initialize
+     * @param {string} url - URL of a CardMorphData JSON document
+     * @param {string|Element} container - Container element or selector
+     * @param {CardMorphOptions} [options={}] - Configuration options
+     * @returns {Promise<CardMorph>}
+     * @static
+     */
+    static async fromJSON(url, container, options = {}) {
+      const response = await fetch(url);
+
+      if (!response.ok) {
+        throw new Error(`CardMorph: Failed to load "${url}" (${response.status})`);
+      }
+
+      return CardMorph.render(container, await response.json(), options);
+    }
+
+    /**
+     * Enable auto-initialization for dynamic content
+     * @param {string} [selector='[data-card-morph]']
+     * @param {CardMorphOptions} [options={}]
+     * @static
+     */
+    static enableAutoInit(selector = '[data-card-morph]', options = {}) {
+      if (CardMorph.#autoInitEnabled) return;
+
+      CardMorph.initAll(selector, options);
+
+      CardMorph.#observer = new MutationObserver(mutations => {
+        let shouldInit = false;
+
+        mutations.forEach(mutation => {
+          mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+            if (node.matches?.(selector) || node.querySelectorAll?.(selector).length) {
+              shouldInit = true;
+            }
+          });
+        });
+
+        if (shouldInit) {
+          CardMorph.initAll(selector, options);
+        }
+      });
+
+      CardMorph.#observer.observe(document.body, {
+        childList: true,
+        subtree: true
+      });
+
+      CardMorph.#autoInitEnabled = true;
+    }
+
+    /**
+     * Disable auto-initialization
+     * @static
+     */
+    static disableAutoInit() {
+      CardMorph.#observer?.disconnect();
+      CardMorph.#observer = null;
+      CardMorph.#autoInitEnabled = false;
+    }
+
+    /**
+     * Destroy all instances
+     * @static
+     */
+    static destroyAll() {
+      CardMorph.#instances.forEach(instance => instance.destroy());
+    }
+
+    // ========================================================================
+    // INSTANCE PROPERTIES
+    // ========================================================================
+
+    /** @type {Element} */
+    container;
+
+    /** @type {CardMorphOptions} */
+    options;
+
+    /** @type {NodeList} */
+    cards;
+
+    /** @type {NodeList} */
+    views;
+
+    /** @type {Element|null} */
+    activeView = null;
+
+    /** @type {Element|null} */
+    activeCard = null;
+
+    /** @type {number} */
+    scrollPosition = 0;
+
+    /** @type {AbortController} */
+    #abortController;
+
+    /** @type {Object|null} Active draggable */
+    #activeDraggable = null;
+
+    /** @type {boolean} Flag to prevent race condition in gallery engine creation */
+    #draggableCreating = false;
+
+    /** @type {Element|null} Gallery navigation container */
+    #galleryNavContainer = null;
+
+    /** @type {Object|null} Position indicator parts {slider, fill, dots, count, value} */
+    #galleryIndicator = null;
+
+    /** @type {Function|null} Gallery wheel handler */
+    #galleryWheelHandler = null;
+
+    /** @type {Function|null} Native track scroll handler (galleryEngine: 'native') */
+    #galleryScrollHandler = null;
+
+    /** @type {Function|null} Native track click handler opening the lightbox */
+    #galleryClickHandler = null;
+
+    /** @type {Function|null} Gallery keyboard handler */
+    #galleryKeyHandler = null;
+
+    /** @type {Function|null} Resize handler */
+    #resizeHandler = null;
+
+    /** @type {Function|null} Escape key handler */
+    #boundEscapeHandler = null;
+
+    /** @type {Array} Lightbox event handlers for cleanup */
+    #lightboxHandlers = [];
+
+    /** @type {Array} Lightbox image data for Draggable onClick callback */
+    #lightboxImageData = [];
+
+    /** @type {boolean} The shared lightbox is showing a session this instance opened */
+    #lightboxOpen = false;
+
+    /** @type {ScrollTrigger[]} */
+    #scrollTriggers = [];
+
+    /** @type {Element[]} Injected next/prev project controls */
+    #viewNavElements = [];
+
+    /** @type {CardMorphStrings} UI strings for the resolved locale */
+    #strings = STRINGS.en;
+
+    /** @type {boolean} Sibling view transition in progress */
+    #isSwitching = false;
+
+    /** @type {boolean} Close animation in progress - switching and closing again wait for it */
+    #isClosing = false;
+
+    /** @type {Function|null} Finalizes the close in progress (once, whichever caller is first) */
+    #finishClose = null;
+
+    /** @type {Element[]} Background elements made inert while a view is open */
+    #inertElements = [];
+
+    /** @type {Function|null} Tab key handler keeping focus inside the view */
+    #focusTrapHandler = null;
+
+    /** @type {Map<string, Set<Function>>} Subscribers registered with on()/once() */
+    #listeners = new Map();
+
+    /** @type {Object|null} Active gallery track helpers ({gallery, section, updateBounds, update}) */
+    #galleryState = null;
+
+    /** @type {Object|null} Windowed track {gallery, data, boxes, top, mounted, free} */
+    #virtualGallery = null;
+
+    /** @type {WeakMap<Element, Object[]>} Windowed tracks' lightbox image data, kept across opens */
+    #galleryData = new WeakMap();
+
+    /** @type {WeakMap<Element, string>} Layouts picked with the layout toggle, by track */
+    #galleryLayouts = new WeakMap();
+
+    /** @type {Element|null} "Show all" layout toggle button */
+    #galleryLayoutToggle = null;
+
+    /** @type {{index: number, lightbox: boolean}|null} Deep-linked photo, applied once the gallery is ready */
+    #pendingGalleryTarget = null;
+
+    /** @type {boolean} Next lightbox open/close comes from history and must not write it */
+    #skipLightboxHistory = false;
+
+    /** @type {Element|null} Card waiting for its lazy view content (latest request wins) */
+    #pendingViewCard = null;
+
+    // ========================================================================
+    // CONSTRUCTOR
+    // ========================================================================
+
+    /**
+     * Create a CardMorph instance
+     * @param {string|Element} container - Container element or selector
+     * @param {CardMorphOptions} [options={}] - Configuration options
+     */
+    constructor(container, options = {}) {
+      // Resolve container
+      this.container = typeof container === 'string'
+        ? document.querySelector(container)
+        : container;
+
+      if (!this.container) {
+        throw new Error(`CardMorph: Container "${container}" not found`);
+      }
+
+      // Check for existing instance
+      if (CardMorph.#instances.has(this.container)) {
+        console.warn('CardMorph: Instance already exists for this container');
+        return CardMorph.#instances.get(this.container);
+      }
+
+      // Auto-detect dependencies if needed
+      if (!CardMorph.dependencies.gsap) {
+        CardMorph.autoDetectDependencies();
+      }
+
+      // Validate required dependencies
+      if (!CardMorph.dependencies.gsap) {
+        throw new Error('CardMorph: GSAP is required. Include GSAP or call CardMorph.registerDependencies()');
+      }
+
+      // Merge options
+      const dataOptions = parseDataOptions(this.container);
+      this.options = mergeDeep(mergeDeep(DEFAULTS, options), dataOptions);
+      this.#updateStrings();
+
+      // Initialize
+      this.#init();
+    }
+
+    // ========================================================================
+    // INITIALIZATION
+    // ========================================================================
+
+    /**
+     * Initialize the component
+     * @private
+     */
+    #init() {
+      const { ScrollTrigger } = CardMorph.dependencies;
+
+      // Set up abort controller for event cleanup
+      this.#abortController = new AbortController();
+      const { signal } = this.#abortController;
+
+      // Query elements
+      this.cards = this.container.querySelectorAll(this.options.cardSelector);
+      this.#createViewShells();
+      this.views = this.container.querySelectorAll(this.options.viewSelector);
+
+      // Bind card events
+      this.cards.forEach(card => {
+        card.addEventListener('click', () => this.#openView(card), { signal });
+        card.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.#openView(card);
+          }
+        }, { signal });
+
+        // Ensure focusable
+        if (!card.hasAttribute('tabindex')) {
+          card.setAttribute('tabindex', '0');
+        }
+        card.setAttribute('role', 'button');
+
+        // Prefetch lazy view content on intent
+        if (card.dataset.cmViewSrc) {
+          const prefetch = () => this.#prefetchView(card);
+          card.addEventListener('pointerenter', prefetch, { signal });
+          card.addEventListener('focus', prefetch, { signal });
+        }
+      });
+
+      // Bind close buttons
+      this.views.forEach(view => {
+        const closeBtn = view.querySelector('.cm-view__close');
+        if (closeBtn) {
+          closeBtn.addEventListener('click', () => this.close(), { signal });
+        }
+      });
+
+      // Sibling view navigation (next/prev project) - edge swipes are bound
+      // either way and check viewNav, so setOptions() can toggle it
+      if (this.cards.length > 1) {
+        this.cards.forEach(card => {
+          const view = this.#getView(card);
+          if (view) this.#bindEdgeSwipe(view);
+        });
+        if (this.options.viewNav) this.#initViewNav();
+      }
+
+      // Initialize card stacking
+      if (this.options.cardStacking && ScrollTrigger) {
+        this.#initCardStacking();
+      }
+
+      // Register instance
+      CardMorph.#instances.set(this.container, this);
+
+      // Mark as initialized
+      this.container.classList.add('cm-gallery--initialized');
+
+      // Dispatch event
+      this.#emit('init', { instance: this });
+
+      // Callback
+      this.options.onInit?.(this);
+
+      // Share smooth scroll, scroll lock and URL navigation with other instances
+      PageCoordinator.register(this, {
+        ownsView: (viewId) => Boolean(this.#findCard(viewId)),
+        onRoute: (route, owns) => this.#handleRoute(route, owns)
+      });
+
+      console.log('CardMorph: Initialized', this.container);
+    }
+
+    /**
+     * Initialize card stacking effect using CSS sticky (no GSAP pin)
+     *
+     * Why CSS sticky instead of GSAP pin:
+     * - GSAP pin is a binary state change (fixed or not) that causes visible "snap"
+     * - CSS sticky is ALWAYS on - no state transition, no snap
+     * - We only use GSAP for smooth scroll-linked transforms (scale, brightness)
+     * - This is the approach used by Apple, Stripe, and premium Awwwards sites
+     *
+     * @private
+     */
+    #initCardStacking() {
+      if (this.cards.length === 0) return;
+
+      const { offset } = this.options.stacking;
+
+      // Numbers (data-cm-stacking-top="80" parses to 80) are pixels
+      const top = typeof this.options.stacking.top === 'number'
+        ? `${this.options.stacking.top}px`
+        : this.options.stacking.top;
+
+      // Apply sticky positioning to each card
+      // Cards stick at vertical center: top = (100vh - card height) / 2
+      // Card height is 85vh (from CSS), so the default top = 7.5vh centers it
+      // A peek offset sticks each card lower than the previous one
+      this.cards.forEach((card, index) => {
+        card.style.position = 'sticky';
+        card.style.top = offset ? `calc(${top} + ${index * offset}px)` : top;
+        card.style.zIndex = index + 1; // Later cards on top
+      });
+
+      this.#initStackingEffects();
+    }
+
+    /**
+     * Remove sticky stacking styles, effect transforms and their ScrollTriggers
+     * @private
+     */
+    #teardownCardStacking() {
+      const { gsap } = CardMorph.dependencies;
+
+      this.#scrollTriggers.forEach(st => st.kill());
+      this.#scrollTriggers = [];
+
+      this.cards.forEach(card => {
+        card.style.position = '';
+        card.style.top = '';
+        card.style.zIndex = '';
+      });
+      gsap.set(this.cards, { clearProps: 'transform,transformOrigin,filter' });
+    }
+
+    /**
+     * Scroll-linked scale/dim/blur/rotate of cards as the next card covers them
+     *
+     * Progress is read from the live position of the covering card on every
+     * ScrollTrigger update - trigger offsets measured on sticky elements are
+     * unreliable once they are stuck.
+     *
+     * @private
+     */
+    #initStackingEffects() {
+      const { gsap, ScrollTrigger } = CardMorph.dependencies;
+      const { scale, dim, blur, rotate } = this.options.stacking;
+
+      if (!(scale || dim || blur || rotate) || this.cards.length < 2) return;
+      if (this.#isReducedMotion()) return;
+
+      const cards = Array.from(this.cards);
+      let stickyTops = [];
+
+      const measure = () => {
+        stickyTops = cards.map(card => parseFloat(getComputedStyle(card).top) || 0);
+      };
+
+      const update = () => {
+        const viewportHeight = window.innerHeight;
+
+        // Read all positions before writing any styles
+        const progress = cards.map((card, index) => {
+          const next = cards[index + 1];
+          if (!next) return 0;
+
+          const travel = Math.max(1, viewportHeight - stickyTops[index + 1]);
+          return gsap.utils.clamp(0, 1, (viewportHeight - next.getBoundingClientRect().top) / travel);
+        });
+
+        cards.forEach((card, index) => {
+          const p = progress[index];
+          const vars = { transformOrigin: 'center top' };
+
+          if (scale) vars.scale = 1 - scale * p;
+          if (rotate) vars.rotation = rotate * p;
+          if (dim || blur) {
+            vars.filter = `brightness(${1 - dim * p}) blur(${blur * p}px)`;
+          }
+
+          gsap.set(card, vars);
+        });
+      };
+
+      this.#scrollTriggers.push(ScrollTrigger.create({
+        trigger: this.container,
+        start: 'top bottom',
+        end: 'bottom top',
+        onUpdate: update,
+        onRefresh: () => {
+          measure();
+          update();
+        }
+      }));
+
+      measure();
+      update();
+    }
+
+    // ========================================================================
+    // VIEW MANAGEMENT
+    // ========================================================================
+
+    /**
+     * Open a view
+     * @param {Element|number|string} card - Card element, index, or data-cm-view-id
+     */
+    open(card) {
+      let cardElement;
+
+      if (typeof card === 'number') {
+        cardElement = this.cards[card];
+      } else if (typeof card === 'string') {
+        cardElement = this.container.querySelector(`[data-cm-view-id="${card}"]`);
+      } else {
+        cardElement = card;
+      }
+
+      if (!cardElement) return;
+
+      if (this.activeView) {
+        this.#switchView(cardElement);
+      } else {
+        this.#openView(cardElement);
+      }
+    }
+
+    /**
+     * Switch the open view to the next card's view
+     */
+    next() {
+      this.#step(1);
+    }
+
+    /**
+     * Switch the open view to the previous card's view
+     */
+    prev() {
+      this.#step(-1);
+    }
+
+    /**
+     * Move to a sibling card's view
+     * @param {number} direction - 1 for next, -1 for previous
+     * @private
+     */
+    #step(direction) {
+      if (!this.activeCard || this.#isClosing) return;
+
+      const cards = Array.from(this.cards);
+      const sibling = cards[cards.indexOf(this.activeCard) + direction];
+
+      if (sibling) {
+        this.#switchView(sibling);
+      }
+    }
+
+    /**
+     * Get the view id for a card
+     * @param {Element} card
+     * @returns {string|undefined}
+     * @private
+     */
+    #getViewId(card) {
+      return card.dataset.cmViewId || card.dataset.collection;
+    }
+
+    /**
+     * Find the view element for a card
+     * @param {Element} card
+     * @returns {Element|null}
+     * @private
+     */
+    #getView(card) {
+      const viewId = this.#getViewId(card);
+      return document.getElementById(`${viewId}-view`) ||
+             this.container.querySelector(`[data-cm-view-for="${viewId}"]`);
+    }
+
+    /**
+     * Internal open view handler
+     * @param {Element} card
+     * @param {boolean} skipHistory - Skip pushing to browser history
+     * @private
+     */
+    #openView(card, skipHistory = false) {
+      const { gsap } = CardMorph.dependencies;
+
+      if (this.#needsViewContent(card)) {
+        this.#loadViewContent(card).then(loaded => {
+          if (loaded && !this.activeView) this.#openView(card, skipHistory);
+        });
+        return;
+      }
+
+      const viewId = this.#getViewId(card);
+      const view = this.#getView(card);
+
+      if (!view) {
+        console.warn('CardMorph: View not found for', viewId);
+        return;
+      }
+
+      // Save state
+      this.activeView = view;
+      this.activeCard = card;
+
+      // Update URL hash (unless opening from popstate)
+      if (!skipHistory) {
+        this.#updateHash(viewId);
+      }
+
+      // Capture card geometry BEFORE locking body scroll - once the body is
+      // position:fixed, sticky cards lose their stacked position
+      const morphState = this.#canMorph(card, view) && this.#isInViewport(card)
+        ? this.#captureMorphState(card, view)
+        : null;
+
+      // Stop Lenis and lock body scroll
+      this.scrollPosition = PageCoordinator.lock(this);
+
+      // Reset view scroll
+      view.scrollTop = 0;
+
+      // Show view
+      view.classList.add('cm-view--active');
+      view.setAttribute('aria-hidden', 'false');
+      this.#activateModal(view, card);
+
+      // Add escape key listener (Shift + arrows switch to sibling views)
+      this.#boundEscapeHandler = (e) => {
+        if (e.key === 'Escape') {
+          this.close();
+        } else if (this.options.viewNav && this.options.keyboard && e.shiftKey) {
+          if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.next();
+          } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.prev();
+          }
+        }
+      };
+      document.addEventListener('keydown', this.#boundEscapeHandler);
+
+      // Animate entrance
+      if (!this.#isReducedMotion()) {
+        const tl = gsap.timeline();
+
+        if (morphState) {
+          this.#morphIn(tl, view, morphState);
+        } else {
+          tl.fromTo(view,
+            { opacity: 0 },
+            { opacity: 1, duration: 0.5, ease: 'power2.out' }
+          );
+
+          const heroContent = view.querySelector('.cm-hero__content');
+          if (heroContent) {
+            tl.fromTo(heroContent,
+              { opacity: 0, y: 60 },
+              { opacity: 1, y: 0, duration: 0.6, ease: 'power3.out' },
+              '-=0.3'
+            );
+          }
+        }
+
+        const infoElements = view.querySelectorAll('.cm-info > *');
+        if (infoElements.length > 0) {
+          tl.fromTo(infoElements,
+            { opacity: 0, y: 40 },
+            { opacity: 1, y: 0, duration: 0.5, stagger: 0.1, ease: 'power3.out' },
+            '-=0.3'
+          );
+        }
+      } else {
+        gsap.set(view, { opacity: 1 });
+      }
+
+      // Initialize gallery after view is visible
+      requestAnimationFrame(() => {
+        this.#initGallery(view);
+        view.querySelector('.cm-view__close')?.focus();
+      });
+
+      // Dispatch event
+      this.#emit('open', { card, view, instance: this });
+
+      // Callback
+      this.options.onOpen?.(card, view);
+
+      announce(formatString(this.#strings.viewOpened, { view: viewId }));
+    }
+
+    /**
+     * Close the active view
+     */
+    close() {
+      this.#closeInternal(false);
+    }
+
+    /**
+     * Replace the open view with another card's view without closing
+     * @param {Element} card
+     * @param {boolean} skipHistory - Skip pushing to browser history
+     * @private
+     */
+    #switchView(card, skipHistory = false) {
+      const { gsap } = CardMorph.dependencies;
+
+      if (this.#isClosing) return;
+
+      if (this.#needsViewContent(card)) {
+        this.#loadViewContent(card).then(loaded => {
+          // The view may have started closing while the content loaded
+          if (loaded && this.activeView && !this.#isClosing) this.#switchView(card, skipHistory);
+        });
+        return;
+      }
+
+      const view = this.#getView(card);
+      const previousView = this.activeView;
+      const previousCard = this.activeCard;
+
+      if (!view || view === previousView || this.#isSwitching) return;
+
+      const viewId = this.#getViewId(card);
+      const cards = Array.from(this.cards);
+      const direction = cards.indexOf(card) > cards.indexOf(previousCard) ? 1 : -1;
+
+      if (!skipHistory) {
+        this.#updateHash(viewId);
+      }
+
+      // Gallery cleanup reads activeView, so run it before swapping
+      this.#cleanupGallery();
+
+      this.activeView = view;
+      this.activeCard = card;
+
+      view.scrollTop = 0;
+      view.classList.add('cm-view--active');
+      view.setAttribute('aria-hidden', 'false');
+      previousView.setAttribute('aria-hidden', 'true');
+      this.#activateModal(view, card);
+
+      const hidePrevious = () => {
+        previousView.classList.remove('cm-view--active');
+        gsap.set(previousView, { opacity: 0, clearProps: 'transform' });
+        this.#resetMorph(previousView);
+
+        const previousGallery = previousView.querySelector(this.options.galleryTrackSelector);
+        if (previousGallery) {
+          gsap.set(previousGallery, { x: 0 });
+        }
+
+        this.#isSwitching = false;
+      };
+
+      this.#isSwitching = true;
+
+      if (!this.#isReducedMotion()) {
+        const tl = gsap.timeline({ onComplete: hidePrevious });
+
+        tl.to(previousView, {
+          opacity: 0,
+          x: -60 * direction,
+          duration: 0.4,
+          ease: 'power2.in'
+        })
+        .fromTo(view,
+          { opacity: 0, x: 60 * direction },
+          { opacity: 1, x: 0, duration: 0.5, ease: 'power3.out', clearProps: 'transform' },
+          '-=0.15'
+        );
+      } else {
+        gsap.set(view, { opacity: 1 });
+        hidePrevious();
+      }
+
+      requestAnimationFrame(() => {
+        this.#initGallery(view);
+        view.querySelector('.cm-view__close')?.focus();
+      });
+
+      // Dispatch event
+      this.#emit('change', { card, view, previousCard, previousView, direction, instance: this });
+
+      // Callback
+      this.options.onChange?.(card, view, previousCard, previousView);
+
+      announce(formatString(this.#strings.viewOpened, { view: viewId }));
+    }
+
+    // ========================================================================
+    // LAZY VIEW CONTENT
+    // ========================================================================
+
+    /**
+     * Create empty views for lazy cards that have none in the markup,
+     * so close buttons and view navigation are bound like any other view
+     * @private
+     */
+    #createViewShells() {
+      this.cards.forEach(card => {
+        if (!card.dataset.cmViewSrc || this.#getView(card)) return;
+
+        const view = document.createElement('div');
+        view.id = `${this.#getViewId(card)}-view`;
+        view.className = 'cm-view';
+        view.setAttribute('aria-hidden', 'true');
+        view.innerHTML = `
+          <div class="cm-view__inner">
+            <button class="cm-view__close" aria-label="${escapeHTML(this.#strings.closeView)}"></button>
+          </div>
+        `;
+
+        this.container.appendChild(view);
+      });
+    }
+
+    /**
+     * Check whether a card's view still has to be fetched
+     * @param {Element} card
+     * @returns {boolean}
+     * @private
+     */
+    #needsViewContent(card) {
+      return Boolean(card.dataset.cmViewSrc) &&
+        !this.#getView(card)?.hasAttribute('data-cm-view-loaded');
+    }
+
+    /**
+     * Start fetching a lazy view before it is opened (hover/focus)
+     * @param {Element} card
+     * @private
+     */
+    #prefetchView(card) {
+      if (!this.#needsViewContent(card)) return;
+
+      // Errors are reported when the view is actually opened
+      fetchViewFragment(card.dataset.cmViewSrc).catch(() => {});
+    }
+
+    /**
+     * Fetch a lazy view fragment and insert it into the view
+     * The card shows a loading state meanwhile; only the most recently
+     * requested card resolves true, so quick repeated clicks open one view
+     * @param {Element} card
+     * @returns {Promise<boolean>} Whether the view is ready to open
+     * @private
+     */
+    async #loadViewContent(card) {
+      const url = card.dataset.cmViewSrc;
+      const viewId = this.#getViewId(card);
+
+      this.#pendingViewCard = card;
+      card.classList.add('cm-card--loading');
+      card.setAttribute('aria-busy', 'true');
+      announce(formatString(this.#strings.viewLoading, { view: viewId }));
+
+      try {
+        const html = await fetchViewFragment(url);
+        const view = this.#getView(card);
+
+        if (view && !view.hasAttribute('data-cm-view-loaded')) {
+          this.#insertViewContent(view, html);
+          this.#emit('viewLoad', { card, view, url, instance: this });
+        }
+      } catch (error) {
+        console.error(`CardMorph: Could not load view "${viewId}"`, error);
+        this.#emit('viewError', { card, url, error, instance: this });
+        announce(formatString(this.#strings.viewLoadError, { view: viewId }));
+      } finally {
+        card.classList.remove('cm-card--loading');
+        card.removeAttribute('aria-busy');
+      }
+
+      const ready = this.#pendingViewCard === card &&
+        !this.#needsViewContent(card) &&
+        CardMorph.#instances.get(this.container) === this;
+      if (this.#pendingViewCard === card) this.#pendingViewCard = null;
+
+      return ready;
+    }
+
+    /**
+     * Insert fragment sections into a view, ahead of the injected view navigation
+     * The gallery inside is set up by #initGallery() when the view opens
+     * @param {Element} view
+     * @param {string} html
+     * @private
+     */
+    #insertViewContent(view, html) {
+      const inner = view.querySelector('.cm-view__inner') || view;
+      const template = document.createElement('template');
+      template.innerHTML = html;
+
+      const nav = Array.from(inner.children).find(child => child.classList.contains('cm-view-nav'));
+      inner.insertBefore(template.content, nav || null);
+
+      view.setAttribute('data-cm-view-loaded', '');
+    }
+
+    // ========================================================================
+    // MODAL BEHAVIOUR
+    // ========================================================================
+
+    /**
+     * Give an open view modal semantics: inert background and focus trap
+     * @param {Element} view
+     * @param {Element} card
+     * @private
+     */
+    #activateModal(view, card) {
+      this.#deactivateModal();
+
+      if (!view.hasAttribute('role')) {
+        view.setAttribute('role', 'dialog');
+      }
+      view.setAttribute('aria-modal', 'true');
+
+      if (!view.hasAttribute('aria-label') && !view.hasAttribute('aria-labelledby')) {
+        const title = card.querySelector('.cm-card__title')?.textContent.trim();
+        if (title) view.setAttribute('aria-label', title);
+      }
+
+      // Make everything outside the view's ancestor chain inert
+      // The lightbox and announcer live on <body> and must stay reachable
+      let node = view;
+      while (node.parentElement && node !== document.body) {
+        Array.from(node.parentElement.children).forEach(sibling => {
+          if (sibling === node || sibling.inert) return;
+          if (sibling.matches('.cm-lightbox, #cm-announcer, script, style')) return;
+
+          sibling.inert = true;
+          this.#inertElements.push(sibling);
+        });
+        node = node.parentElement;
+      }
+
+      const inner = view.querySelector('.cm-view__inner') || view;
+
+      // inert already blocks the background; this wraps Tab at the view's edges
+      this.#focusTrapHandler = (e) => {
+        if (e.key !== 'Tab' || Lightbox.isOpen) return;
+
+        const focusable = getFocusableElements(inner);
+        if (focusable.length === 0) {
+          e.preventDefault();
+          return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const outside = !inner.contains(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || outside)) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || outside)) {
+          e.preventDefault();
+          first.focus();
+        }
+      };
+      document.addEventListener('keydown', this.#focusTrapHandler);
+    }
+
+    /**
+     * Restore the background and remove the focus trap
+     * @private
+     */
+    #deactivateModal() {
+      this.#inertElements.forEach(el => { el.inert = false; });
+      this.#inertElements = [];
+
+      if (this.#focusTrapHandler) {
+        document.removeEventListener('keydown', this.#focusTrapHandler);
+        this.#focusTrapHandler = null;
+      }
+
+      this.views.forEach(view => view.removeAttribute('aria-modal'));
+    }
+
+    // ========================================================================
+    // VIEW NAVIGATION
+    // ========================================================================
+
+    /**
+     * Inject next/prev project controls into each view
+     * @private
+     */
+    #initViewNav() {
+      const { signal } = this.#abortController;
+      const cards = Array.from(this.cards);
+
+      const getTitle = (card) => {
+        const title = card.querySelector('.cm-card__title');
+        return (title?.textContent || card.getAttribute('aria-label') || this.#getViewId(card)).trim();
+      };
+
+      const createButton = (card, direction) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `cm-view-nav__button cm-view-nav__button--${direction}`;
+
+        const label = document.createElement('span');
+        label.className = 'cm-view-nav__label';
+
+        const title = document.createElement('span');
+        title.className = 'cm-view-nav__title';
+        title.textContent = getTitle(card);
+
+        button.append(label, title);
+        button.addEventListener('click', () => this.#switchView(card), { signal });
+        return button;
+      };
+
+      cards.forEach((card, index) => {
+        const view = this.#getView(card);
+        const inner = view?.querySelector('.cm-view__inner');
+        if (!inner) return;
+
+        const nav = document.createElement('nav');
+        nav.className = 'cm-view-nav';
+
+        if (cards[index - 1]) nav.appendChild(createButton(cards[index - 1], 'prev'));
+        if (cards[index + 1]) nav.appendChild(createButton(cards[index + 1], 'next'));
+        this.#labelViewNav(nav);
+
+        inner.appendChild(nav);
+        this.#viewNavElements.push(nav);
+      });
+    }
+
+    /**
+     * Apply the current UI strings to a view navigation element
+     * @param {Element} nav
+     * @private
+     */
+    #labelViewNav(nav) {
+      nav.setAttribute('aria-label', this.#strings.projectNavigation);
+      nav.querySelectorAll('.cm-view-nav__button').forEach(button => {
+        const next = button.classList.contains('cm-view-nav__button--next');
+        button.querySelector('.cm-view-nav__label').textContent = next
+          ? this.#strings.nextProject
+          : this.#strings.previousProject;
+      });
+    }
+
+    /**
+     * Switch views on horizontal swipes that start at the screen edge
+     * Swipes starting inside the gallery are left to Draggable
+     * @param {Element} view
+     * @private
+     */
+    #bindEdgeSwipe(view) {
+      const { signal } = this.#abortController;
+      const edgeSize = 32;
+      const threshold = 60;
+      let start = null;
+
+      view.addEventListener('touchstart', (e) => {
+        const touch = e.changedTouches[0];
+        const fromEdge = touch.clientX <= edgeSize || touch.clientX >= window.innerWidth - edgeSize;
+        const inGallery = e.target.closest(this.options.gallerySectionSelector);
+
+        start = this.options.viewNav && fromEdge && !inGallery ? { x: touch.clientX, y: touch.clientY } : null;
+      }, { passive: true, signal });
+
+      view.addEventListener('touchend', (e) => {
+        if (!start || view !== this.activeView) return;
+
+        const touch = e.changedTouches[0];
+        const diffX = touch.clientX - start.x;
+        const diffY = touch.clientY - start.y;
+        start = null;
+
+        if (Math.abs(diffX) < threshold || Math.abs(diffX) < Math.abs(diffY)) return;
+
+        // Dragging in from the right edge reveals the next project
+        if (diffX < 0) {
+          this.next();
+        } else {
+          this.prev();
+        }
+      }, { passive: true, signal });
+    }
+
+    /**
+     * Finalize view close
+     * @param {Element} view
+     * @param {boolean} scrollAlreadyRestored - Skip scroll restoration if already done
+     * @private
+     */
+    #finalizeClose(view, scrollAlreadyRestored = false) {
+      const { gsap } = CardMorph.dependencies;
+      this.#isClosing = false;
+      this.#finishClose = null;
+
+      view.classList.remove('cm-view--active');
+      view.setAttribute('aria-hidden', 'true');
+
+      // Remove escape handler
+      if (this.#boundEscapeHandler) {
+        document.removeEventListener('keydown', this.#boundEscapeHandler);
+        this.#boundEscapeHandler = null;
+      }
+
+      // Cleanup gallery
+      this.#cleanupGallery();
+      this.#pendingGalleryTarget = null;
+
+      // Restore body scroll (skip if already restored for back gesture)
+      if (!scrollAlreadyRestored) {
+        PageCoordinator.unlock(this);
+      }
+
+      // Resume Lenis (no-op while another view holds the lock)
+      PageCoordinator.resumeScroll();
+
+      // Refresh ScrollTrigger after restoring body position and scroll
+      // This is critical: when body was position:fixed, ScrollTrigger cached stale positions
+      // Without refresh, triggers will fire at wrong scroll positions causing layout corruption
+      // Use immediate refresh (no "true" param) to avoid blocking scroll on mobile
+      const { ScrollTrigger } = CardMorph.dependencies;
+      if (ScrollTrigger) {
+        // Use requestAnimationFrame to ensure DOM has settled after scroll restoration
+        requestAnimationFrame(() => {
+          ScrollTrigger.refresh();
+        });
+      }
+
+      // Return focus (background must be interactive again first)
+      this.#deactivateModal();
+      this.activeCard?.focus({ preventScroll: true });
+
+      // Dispatch event
+      this.#emit('close', { view, card: this.activeCard, instance: this });
+
+      // Callback
+      this.options.onClose?.(this.activeCard, view);
+
+      // Reset state
+      const card = this.activeCard;
+      this.activeView = null;
+      this.activeCard = null;
+
+      // Reset view
+      gsap.set(view, { opacity: 0 });
+      this.#resetMorph(view);
+
+      const gallery = view.querySelector(this.options.galleryTrackSelector);
+      if (gallery) {
+        gsap.set(gallery, { x: 0 });
+      }
+
+      announce(this.#strings.viewClosed);
+    }
+
+    // ========================================================================
+    // URL NAVIGATION
+    // ========================================================================
+
+    /**
+     * Update URL hash when opening a view, gallery photo or lightbox
+     * @param {string} viewId
+     * @param {Object} [route]
+     * @param {number|null} [route.index=null] - Zero-based gallery photo (written 1-based)
+     * @param {boolean} [route.lightbox=false] - Lightbox open at that photo
+     * @param {boolean} [route.replace=false] - Replace the current entry instead of pushing
+     * @private
+     */
+    #updateHash(viewId, { index = null, lightbox = false, replace = false } = {}) {
+      let hash = viewId;
+      if (index !== null) hash += `/${index + 1}`;
+      if (index !== null && lightbox) hash += '/lightbox';
+
+      PageCoordinator.navigate(hash, replace);
+    }
+
+    /**
+     * Clear URL hash when closing a view
+     * @private
+     */
+    #clearHash() {
+      PageCoordinator.clearHash();
+    }
+
+    /**
+     * Find this instance's card for a view id
+     * @param {string} viewId
+     * @returns {Element|null}
+     * @private
+     */
+    #findCard(viewId) {
+      return Array.from(this.cards).find(card => this.#getViewId(card) === viewId) || null;
+    }
+
+    /**
+     * Handle a route sent by the page coordinator (page load, back/forward)
+     * @param {{view: string|null, index: number|null, lightbox: boolean}} route
+     * @param {boolean} owns - Whether the route's view belongs to this instance
+     * @private
+     */
+    #handleRoute(route, owns) {
+      if (!owns) {
+        if (!this.activeView) return;
+
+        this.#closeLightboxFromHistory();
+        if (route.view) {
+          // Another instance's view takes over - close at once so it opens
+          // from the restored page rather than on top of this view
+          if (this.#finishClose) {
+            this.#finishClose();
+          } else {
+            this.#finalizeClose(this.activeView);
+          }
+        } else {
+          // CRITICAL: Immediately restore scroll on back gesture (before animation)
+          // Mobile Safari needs scrollable content instantly during back transition
+          this.#immediateScrollRestore();
+          this.#closeInternal(true, true); // skipHistory=true, scrollAlreadyRestored=true
+        }
+        return;
+      }
+
+      const card = this.#findCard(route.view);
+
+      if (!this.activeView) {
+        // Hash present but no view open - open the view
+        this.#setGalleryTarget(route);
+        this.#openView(card, true); // true = skip history push
+      } else if (card !== this.activeCard) {
+        // Hash points at a different view - step back/forward between siblings
+        this.#closeLightboxFromHistory();
+        this.#setGalleryTarget(route);
+        this.#switchView(card, true);
+      } else {
+        // Same view - step between photo and lightbox states
+        this.#routeGallery(route);
+      }
+    }
+
+    /**
+     * Remember a deep-linked photo so it is shown once the gallery is ready
+     * @param {{index: number|null, lightbox: boolean}} route
+     * @private
+     */
+    #setGalleryTarget(route) {
+      this.#pendingGalleryTarget = route.index !== null
+        ? { index: route.index, lightbox: route.lightbox }
+        : null;
+    }
+
+    /**
+     * Apply a photo/lightbox route to the already open view
+     * @param {{index: number|null, lightbox: boolean}} route
+     * @private
+     */
+    #routeGallery(route) {
+      if (Lightbox.isOpen) {
+        if (!route.lightbox) this.#closeLightboxFromHistory();
+        return;
+      }
+
+      this.#setGalleryTarget(route);
+      if (this.#galleryState) {
+        this.#applyGalleryTarget();
+      }
+    }
+
+    /**
+     * Close the lightbox without writing a new history entry
+     * @private
+     */
+    #closeLightboxFromHistory() {
+      if (!Lightbox.isOpen) return;
+
+      // onClose clears the flag - only keep it when the close goes ahead
+      this.#skipLightboxHistory = true;
+      if (!Lightbox.close()) {
+        this.#skipLightboxHistory = false;
+      }
+    }
+
+    /**
+     * Scroll to the pending deep-linked photo and open the lightbox if requested
+     * @private
+     */
+    #applyGalleryTarget() {
+      const target = this.#pendingGalleryTarget;
+      this.#pendingGalleryTarget = null;
+
+      if (!target || !this.activeView) return;
+
+      if (this.#galleryState) {
+        const { section, getItemBoxes } = this.#galleryState;
+        if (!getItemBoxes()[target.index]) return;
+
+        // Bring the gallery section into view, then the photo into the track
+        // (which mounts it in a windowed gallery)
+        this.activeView.scrollTop = section.offsetTop;
+        this.#scrollGalleryToIndex(target.index, false);
+      } else {
+        // Grid layouts show every photo - scroll the view to it
+        this.#getGalleryItem(target.index)?.scrollIntoView({ block: 'center' });
+      }
+
+      const item = this.#getGalleryItem(target.index);
+      if (target.lightbox && item && this.#lightboxImageData[target.index]) {
+        this.#openLightbox(target.index, item, true);
+      }
+    }
+
+    /**
+     * Immediately restore body scroll (used for back gesture)
+     * This ensures mobile Safari has scrollable content during back transition
+     * @private
+     */
+    #immediateScrollRestore() {
+      PageCoordinator.unlock(this);
+    }
+
+    /**
+     * Internal close method with history control
+     * @param {boolean} skipHistory - Skip clearing hash from history
+     * @param {boolean} scrollAlreadyRestored - Skip scroll restoration (already done for back gesture)
+     * @private
+     */
+    #closeInternal(skipHistory = false, scrollAlreadyRestored = false) {
+      if (!this.activeView || this.#isClosing) return;
+
+      const { gsap } = CardMorph.dependencies;
+      const view = this.activeView;
+      const card = this.activeCard;
+      this.#isClosing = true;
+
+      // Clear hash before closing (unless skipping for popstate)
+      if (!skipHistory) {
+        this.#clearHash();
+      }
+
+      // Morphing back needs the card at its sticky stacking position,
+      // so restore page scroll before measuring it
+      const morph = Boolean(card) && this.#canMorph(card, view);
+      if (morph && !scrollAlreadyRestored) {
+        this.#immediateScrollRestore();
+        scrollAlreadyRestored = true;
+      }
+
+      // This close finalizes once - the animation, the safety timeout or a
+      // route taking over, whichever comes first
+      let finalized = false;
+      const cleanupAndFinalize = () => {
+        if (finalized) return;
+
+        finalized = true;
+        clearTimeout(safetyTimeout);
+        this.#finalizeClose(view, scrollAlreadyRestored);
+      };
+      this.#finishClose = cleanupAndFinalize;
+
+      // Safety timeout to ensure Lenis is restarted even if animation fails
+      // Morphing back scrolls the view to the top (0.3s) before the morph itself
+      const safetyTimeout = setTimeout(() => {
+        if (finalized) return;
+
+        console.warn('CardMorph: Close animation timed out, forcing cleanup');
+        cleanupAndFinalize();
+      }, Math.max(1000, (this.options.duration + 0.8) * 1000));
+
+      if (morph && this.#isInViewport(card)) {
+        this.#morphOut(view, card).then(cleanupAndFinalize);
+      } else if (!this.#isReducedMotion()) {
+        gsap.to(view, {
+          opacity: 0,
+          duration: 0.3,
+          ease: 'power2.in',
+          onComplete: cleanupAndFinalize
+        });
+      } else {
+        cleanupAndFinalize();
+      }
+    }
 
-      // Mark as initialized
-      this.container.classList.add('cm-gallery--initialized');
+    // ========================================================================
+    // MORPH ANIMATION
+    // ========================================================================
 
-      // Dispatch event
-      this.container.dispatchEvent(new CustomEvent('cardmorph:init', {
-        detail: { instance: this }
-      }));
+    /**
+     * Check whether a card can morph into its view
+     * @param {Element} card
+     * @param {Element} view
+     * @returns {boolean}
+     * @private
+     */
+    #canMorph(card, view) {
+      return Boolean(CardMorph.dependencies.Flip) &&
+        this.options.morph !== false &&
+        !this.#isReducedMotion() &&
+        this.#getMorphPairs(card, view).length > 0;
+    }
 
-      // Callback
-      this.options.onInit?.(this);
+    /**
+     * Get matching card/view elements that take part in the morph
+     * Image is resized (not scaled) so object-fit: cover stays undistorted
+     * @param {Element} card
+     * @param {Element} view
+     * @returns {Array<{from: Element, to: Element, scale: boolean}>}
+     * @private
+     */
+    #getMorphPairs(card, view) {
+      return [
+        { from: card.querySelector('.cm-card__image'), to: view.querySelector('.cm-hero__background'), scale: false },
+        { from: card.querySelector('.cm-card__title'), to: view.querySelector('.cm-hero__title'), scale: true },
+        { from: card.querySelector('.cm-card__badge'), to: view.querySelector('.cm-hero__badge'), scale: true }
+      ].filter(({ from, to }) => from && to);
+    }
 
-      // Set up URL navigation
-      this.#boundPopStateHandler = (e) => this.#handlePopState(e);
-      window.addEventListener('popstate', this.#boundPopStateHandler);
+    /**
+     * Record card geometry for the open morph
+     * @param {Element} card
+     * @param {Element} view
+     * @returns {Object} Clip path and per-element Flip states
+     * @private
+     */
+    #captureMorphState(card, view) {
+      const { Flip } = CardMorph.dependencies;
+
+      return {
+        clipPath: this.#getCardClipPath(card),
+        pairs: this.#getMorphPairs(card, view).map(({ from, to, scale }) => ({
+          to,
+          scale,
+          state: Flip.getState(from)
+        }))
+      };
+    }
 
-      // Check for initial hash on page load
-      const initialHash = window.location.hash.slice(1);
-      if (initialHash) {
-        const card = this.container.querySelector(`[data-cm-view-id="${initialHash}"]`);
-        if (card) {
-          // Open view after a short delay to ensure page is ready
-          requestAnimationFrame(() => this.#openView(card, true));
-        }
-      }
+    /**
+     * Build a clip-path inset matching the card's on-screen box
+     * @param {Element} card
+     * @returns {string}
+     * @private
+     */
+    #getCardClipPath(card) {
+      const rect = card.getBoundingClientRect();
+      const { clientWidth, clientHeight } = document.documentElement;
+      const radius = parseFloat(getComputedStyle(card).borderTopLeftRadius) || 0;
 
-      console.log('CardMorph: Initialized', this.container);
+      return `inset(${rect.top}px ${clientWidth - rect.right}px ${clientHeight - rect.bottom}px ${rect.left}px round ${radius}px)`;
     }
 
     /**
-     * Initialize Lenis smooth scroll
+     * Add the card-to-hero morph to the open timeline
+     * @param {gsap.core.Timeline} tl
+     * @param {Element} view
+     * @param {Object} morphState - From #captureMorphState()
      * @private
      */
-    #initLenis() {
-      const { Lenis } = CardMorph.dependencies;
-      const { gsap, ScrollTrigger } = CardMorph.dependencies;
+    #morphIn(tl, view, morphState) {
+      const { gsap, Flip } = CardMorph.dependencies;
+      const { duration, ease } = this.options;
+
+      // CSS opacity/visibility transition would fight the clip animation
+      view.style.transition = 'none';
+      gsap.set(view, { opacity: 1 });
+
+      tl.fromTo(view,
+        { clipPath: morphState.clipPath },
+        { clipPath: 'inset(0px 0px 0px 0px round 0px)', duration, ease, clearProps: 'clipPath' },
+        0
+      );
 
-      this.#lenis = new Lenis({
-        ...this.options.lenis,
-        // Prevent Lenis from handling scroll inside views
-        prevent: (node) => node.closest('.cm-view')
+      morphState.pairs.forEach(({ to, state, scale }) => {
+        tl.from(to, {
+          ...Flip.fit(to, state, { scale, getVars: true }),
+          duration,
+          ease,
+          clearProps: 'transform,width,height'
+        }, 0);
       });
 
-      if (ScrollTrigger) {
-        this.#lenis.on('scroll', ScrollTrigger.update);
-      }
-
-      gsap.ticker.add((time) => {
-        this.#lenis.raf(time * 1000);
-      });
+      // Remaining hero content fades in once the morph settles
+      const morphTargets = morphState.pairs.map(({ to }) => to);
+      const heroExtras = Array.from(view.querySelectorAll('.cm-hero__content > *'))
+        .filter(el => !morphTargets.includes(el));
 
-      gsap.ticker.lagSmoothing(0);
+      if (heroExtras.length > 0) {
+        tl.fromTo(heroExtras,
+          { opacity: 0, y: 30 },
+          { opacity: 1, y: 0, duration: 0.5, stagger: 0.1, ease: 'power3.out' },
+          '-=0.2'
+        );
+      }
     }
 
     /**
-     * Initialize card stacking effect using CSS sticky (no GSAP pin)
-     *
-     * Why CSS sticky instead of GSAP pin:
-     * - GSAP pin is a binary state change (fixed or not) that causes visible "snap"
-     * - CSS sticky is ALWAYS on - no state transition, no snap
-     * - We only use GSAP for smooth scroll-linked transforms (scale, brightness)
-     * - This is the approach used by Apple, Stripe, and premium Awwwards sites
-     *
+     * Morph the view hero back into its card
+     * @param {Element} view
+     * @param {Element} card
+     * @returns {Promise}
      * @private
      */
-    #initCardStacking() {
-      const { gsap, ScrollTrigger } = CardMorph.dependencies;
+    #morphOut(view, card) {
+      const { gsap, Flip } = CardMorph.dependencies;
+      const { duration, ease } = this.options;
 
-      if (this.cards.length === 0) return;
+      view.style.transition = 'none';
 
-      const numCards = this.cards.length;
+      // Hero must be on screen to morph from it
+      const scrollToTop = view.scrollTop > 0
+        ? gsap.to(view, { scrollTop: 0, duration: 0.3, ease: 'power2.inOut' }).then()
+        : Promise.resolve();
 
-      // Apply sticky positioning to each card
-      // Cards stick at vertical center: top = (100vh - card height) / 2
-      // Card height is 85vh (from CSS), so top = 7.5vh for centering
-      this.cards.forEach((card, index) => {
-        card.style.position = 'sticky';
-        card.style.top = '7.5vh'; // Centers 85vh card vertically
-        card.style.zIndex = index + 1; // Later cards on top
-      });
+      return scrollToTop.then(() => new Promise(resolve => {
+        const tl = gsap.timeline({ onComplete: resolve });
 
-      // Cards naturally stack via sticky positioning
-      // No additional animations needed - clean stacking effect
-    }
+        tl.to(view, { clipPath: this.#getCardClipPath(card), duration, ease }, 0);
 
-    // ========================================================================
-    // VIEW MANAGEMENT
-    // ========================================================================
+        this.#getMorphPairs(card, view).forEach(({ from, to, scale }) => {
+          tl.to(to, {
+            ...Flip.fit(to, from, { scale, getVars: true }),
+            duration,
+            ease
+          }, 0);
+        });
+      }));
+    }
 
     /**
-     * Open a view
-     * @param {Element|number|string} card - Card element, index, or data-cm-view-id
+     * Clear inline styles left behind by a morph
+     * @param {Element} view
+     * @private
      */
-    open(card) {
-      let cardElement;
+    #resetMorph(view) {
+      const { gsap } = CardMorph.dependencies;
+      const targets = view.querySelectorAll('.cm-hero__background, .cm-hero__title, .cm-hero__badge');
 
-      if (typeof card === 'number') {
-        cardElement = this.cards[card];
-      } else if (typeof card === 'string') {
-        cardElement = this.container.querySelector(`[data-cm-view-id="${card}"]`);
-      } else {
-        cardElement = card;
+      gsap.set(view, { clearProps: 'clipPath' });
+      if (targets.length > 0) {
+        gsap.set(targets, { clearProps: 'transform,width,height' });
       }
 
-      if (cardElement) {
-        this.#openView(cardElement);
+      if (view.style.transition === 'none') {
+        // Flush styles so the hide above happens without a CSS transition
+        void view.offsetWidth;
+        view.style.transition = '';
       }
     }
 
+    // ========================================================================
+    // GALLERY
+    // ========================================================================
+
     /**
-     * Internal open view handler
-     * @param {Element} card
-     * @param {boolean} skipHistory - Skip pushing to browser history
+     * Initialize gallery for a view
+     * @param {Element} view
      * @private
      */
-    #openView(card, skipHistory = false) {
+    #initGallery(view) {
+      const gallery = view.querySelector(this.options.galleryTrackSelector);
+      if (!gallery) return;
+
       const { gsap } = CardMorph.dependencies;
+      const section = gallery.closest(this.options.gallerySectionSelector);
+      const layout = this.#getGalleryLayout(gallery);
 
-      const viewId = card.dataset.cmViewId || card.dataset.collection;
-      const view = document.getElementById(`${viewId}-view`) ||
-                   this.container.querySelector(`[data-cm-view-for="${viewId}"]`);
+      section?.classList.toggle('cm-gallery-section--grid', layout === 'grid');
+      section?.classList.toggle('cm-gallery-section--masonry', layout === 'masonry');
+      this.#createLayoutToggle(section, gallery, layout);
 
-      if (!view) {
-        console.warn('CardMorph: View not found for', viewId);
+      const native = layout === 'strip' && this.options.draggable && this.#usesNativeGallery;
+      const snap = native && this.options.snap ? (this.options.snap === 'center' ? 'center' : 'start') : null;
+
+      // Engine classes first - a windowed track lays out differently when it scrolls natively
+      gallery.classList.toggle('cm-gallery-section__track--native', native);
+      gallery.classList.toggle('cm-gallery-section__track--snap-start', snap === 'start');
+      gallery.classList.toggle('cm-gallery-section__track--snap-center', snap === 'center');
+
+      // Reset gallery position
+      gsap.set(gallery, { x: 0 });
+      gallery.scrollLeft = 0;
+
+      const data = this.#getGalleryData(gallery);
+      if (layout !== 'strip') {
+        this.#initGridGallery(gallery, data, layout);
         return;
       }
 
-      // Save state
-      this.scrollPosition = window.scrollY;
-      this.activeView = view;
-      this.activeCard = card;
+      if (data && !this.options.draggable) {
+        // No engine to move a window - lay out every item
+        this.#renderGalleryItems(gallery, data);
+        return;
+      }
 
-      // Update URL hash (unless opening from popstate)
-      if (!skipHistory) {
-        this.#updateHash(viewId);
+      if (data) {
+        this.#initVirtualGallery(gallery, data);
+        return;
       }
 
-      // Stop Lenis with error handling
-      try {
-        this.#lenis?.stop();
-      } catch (e) {
-        console.warn('CardMorph: Error stopping Lenis', e);
+      if (!this.options.draggable) return;
+
+      const images = gallery.querySelectorAll('img, video');
+
+      if (images.length === 0) {
+        this.#createGallery(gallery);
+        return;
       }
 
-      // Lock body scroll (mobile Safari requires touch-action too)
-      document.body.style.overflow = 'hidden';
-      document.body.style.position = 'fixed';
-      document.body.style.top = `-${this.scrollPosition}px`;
-      document.body.style.width = '100%';
-      document.body.style.touchAction = 'none';
-      document.documentElement.style.overflow = 'hidden';
-      document.body.classList.add('cm-no-scroll');
+      // Initialize lightbox for gallery items
+      if (this.options.lightbox !== false) {
+        this.#initLightbox(gallery, Array.from(images, getLightboxImage));
+      }
 
-      // Reset view scroll
-      view.scrollTop = 0;
+      this.#playGalleryVideos(gallery);
 
-      // Show view
-      view.classList.add('cm-view--active');
-      view.setAttribute('aria-hidden', 'false');
+      // Wait for images (and video metadata) to load with debounced draggable creation
+      let loadedCount = 0;
+      const totalImages = images.length;
+      let createScheduled = false;
 
-      // Add escape key listener
-      this.#boundEscapeHandler = (e) => {
-        if (e.key === 'Escape') this.close();
+      const scheduleCreateDraggable = () => {
+        if (createScheduled) return;
+        createScheduled = true;
+        // Use double rAF to ensure DOM is fully ready (especially on mobile)
+        requestAnimationFrame(() => {
+          requestAnimationFrame(() => {
+            this.#createGallery(gallery);
+          });
+        });
       };
-      document.addEventListener('keydown', this.#boundEscapeHandler);
 
-      // Animate entrance
-      if (!this.#isReducedMotion()) {
-        const tl = gsap.timeline();
+      const onImageReady = () => {
+        loadedCount++;
+        if (loadedCount >= totalImages) {
+          scheduleCreateDraggable();
+        }
+      };
 
-        tl.fromTo(view,
-          { opacity: 0 },
-          { opacity: 1, duration: 0.5, ease: 'power2.out' }
-        );
+      images.forEach(media => {
+        const isVideo = media.tagName === 'VIDEO';
+        const ready = isVideo ? media.readyState >= 1 : media.complete && media.naturalHeight !== 0;
 
-        const heroContent = view.querySelector('.cm-hero__content');
-        if (heroContent) {
-          tl.fromTo(heroContent,
-            { opacity: 0, y: 60 },
-            { opacity: 1, y: 0, duration: 0.6, ease: 'power3.out' },
-            '-=0.3'
-          );
+        if (ready) {
+          onImageReady();
+        } else {
+          media.addEventListener(isVideo ? 'loadedmetadata' : 'load', onImageReady);
+          media.addEventListener('error', onImageReady);
         }
+      });
 
-        const infoElements = view.querySelectorAll('.cm-info > *');
-        if (infoElements.length > 0) {
-          tl.fromTo(infoElements,
-            { opacity: 0, y: 40 },
-            { opacity: 1, y: 0, duration: 0.5, stagger: 0.1, ease: 'power3.out' },
-            '-=0.3'
-          );
+      // Fallback timeout (reduced from 2s to 1s for better UX)
+      setTimeout(() => {
+        if (!this.#galleryState && !this.#draggableCreating) {
+          scheduleCreateDraggable();
         }
-      } else {
-        gsap.set(view, { opacity: 1 });
-      }
+      }, 1000);
+    }
 
-      // Initialize gallery after view is visible
-      requestAnimationFrame(() => {
-        this.#initGallery(view);
-        view.querySelector('.cm-view__close')?.focus();
+    /**
+     * Layout for a gallery: the toggle's pick, then data-cm-layout on the
+     * section, then the galleryLayout option
+     * @param {Element} gallery
+     * @returns {'strip'|'grid'|'masonry'}
+     * @private
+     */
+    #getGalleryLayout(gallery) {
+      const section = gallery.closest(this.options.gallerySectionSelector);
+      const layout = this.#galleryLayouts.get(gallery) || section?.dataset.cmLayout || this.options.galleryLayout;
+      return layout === 'grid' || layout === 'masonry' ? layout : 'strip';
+    }
+
+    /**
+     * Add the "Show all" toggle (galleryLayoutToggle) switching between the
+     * strip and the gallery's grid layout (masonry when configured)
+     * @param {Element|null} section
+     * @param {Element} gallery
+     * @param {string} layout - Current layout
+     * @private
+     */
+    #createLayoutToggle(section, gallery, layout) {
+      if (!this.options.galleryLayoutToggle || !section) return;
+
+      const configured = section.dataset.cmLayout || this.options.galleryLayout;
+      const gridLayout = configured === 'masonry' ? 'masonry' : 'grid';
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'cm-gallery-layout-toggle';
+      button.setAttribute('aria-pressed', String(layout !== 'strip'));
+      button.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><rect x="3" y="3" width="7" height="7"></rect><rect x="14" y="3" width="7" height="7"></rect><rect x="3" y="14" width="7" height="7"></rect><rect x="14" y="14" width="7" height="7"></rect></svg><span></span>';
+      button.querySelector('span').textContent = this.#strings.galleryShowAll;
+
+      button.addEventListener('click', () => {
+        this.#galleryLayouts.set(gallery, layout === 'strip' ? gridLayout : 'strip');
+        this.#cleanupGallery();
+        this.#initGallery(this.activeView);
+        this.#galleryLayoutToggle?.focus({ preventScroll: true });
       });
 
-      // Dispatch event
-      this.container.dispatchEvent(new CustomEvent('cardmorph:open', {
-        detail: { card, view, instance: this }
-      }));
+      section.prepend(button);
+      this.#galleryLayoutToggle = button;
+    }
 
-      // Callback
-      this.options.onOpen?.(card, view);
+    /**
+     * Set up a grid or masonry gallery: every item is laid out at once (built
+     * from data for a windowed gallery), with the same lightbox index mapping
+     * as the strip and no track engine
+     * @param {Element} gallery
+     * @param {Object[]|null} data - Windowed gallery data
+     * @param {'grid'|'masonry'} layout
+     * @private
+     */
+    #initGridGallery(gallery, data, layout) {
+      // Undo any Draggable inline styles
+      gallery.style.cursor = '';
+      gallery.style.touchAction = '';
+
+      if (data) this.#renderGalleryItems(gallery, data);
 
-      announce(`Opened ${viewId} view`);
+      const media = gallery.querySelectorAll('img, video');
+
+      if (this.options.lightbox !== false) {
+        this.#initLightbox(gallery, data || Array.from(media, getLightboxImage));
+        this.#bindGalleryClicks(gallery);
+      }
+
+      this.#playGalleryVideos(gallery);
+
+      if (layout === 'masonry') {
+        this.#layoutMasonry(gallery);
+
+        // Ratios become known as images without width/height load
+        media.forEach(el => {
+          const item = el.closest('.cm-gallery-section__item');
+          if (!item || getMediaRatio(el)) return;
+          el.addEventListener(el.tagName === 'VIDEO' ? 'loadedmetadata' : 'load', () => this.#layoutMasonry(gallery, [item]), { once: true });
+        });
+
+        let resizeTimeout;
+        this.#resizeHandler = () => {
+          clearTimeout(resizeTimeout);
+          resizeTimeout = setTimeout(() => this.#layoutMasonry(gallery), 150);
+        };
+        window.addEventListener('resize', this.#resizeHandler);
+      }
+
+      // Deep link (#view/7) waiting for the gallery
+      this.#applyGalleryTarget();
     }
 
     /**
-     * Close the active view
+     * Build every item of a data-driven gallery at once (grid layouts, or a
+     * strip with no engine to move a window), undoing the strip's windowing
+     * @param {Element} gallery
+     * @param {Object[]} data - Lightbox image objects
+     * @private
      */
-    close() {
-      this.#closeInternal(false);
+    #renderGalleryItems(gallery, data) {
+      gallery.classList.remove('cm-gallery-section__track--virtual');
+      gallery.style.width = '';
+      gallery.style.removeProperty('--cm-track-width');
+
+      gallery.replaceChildren(...data.map(image => {
+        const item = document.createElement('div');
+        item.className = 'cm-gallery-section__item';
+        this.#setGalleryItemMedia(item, image, { lazy: true });
+
+        // Intrinsic size (masonry, and layout before the image loads)
+        const media = item.firstElementChild;
+        if (image.width > 0 && image.height > 0) {
+          media.setAttribute('width', image.width);
+          media.setAttribute('height', image.height);
+        }
+        return item;
+      }));
     }
 
     /**
-     * Finalize view close
-     * @param {Element} view
-     * @param {boolean} scrollAlreadyRestored - Skip scroll restoration if already done
+     * Masonry: span each item over as many of the track's small grid rows as
+     * its aspect ratio needs at the column width (3:2 until known)
+     * @param {Element} gallery
+     * @param {Iterable<Element>} [items] - Items to update (default: all)
      * @private
      */
-    #finalizeClose(view, scrollAlreadyRestored = false) {
-      const { gsap } = CardMorph.dependencies;
+    #layoutMasonry(gallery, items = gallery.querySelectorAll('.cm-gallery-section__item')) {
+      const style = getComputedStyle(gallery);
+      const rowHeight = parseFloat(style.gridAutoRows) || 8;
+      const gap = parseFloat(style.rowGap) || 0;
+
+      for (const item of items) {
+        const media = item.querySelector('img, video');
+        const ratio = (media && getMediaRatio(media)) || 3 / 2;
+        const height = item.offsetWidth / ratio;
+        item.style.gridRowEnd = `span ${Math.max(1, Math.round((height + gap) / (rowHeight + gap)))}`;
+      }
+    }
 
-      view.classList.remove('cm-view--active');
-      view.setAttribute('aria-hidden', 'true');
+    /**
+     * Data for a windowed track: the section's JSON data array
+     * (<script type="application/json" class="cm-gallery-section__data">), or
+     * the track's own items once there are at least virtualGallery of them
+     * @param {Element} gallery
+     * @returns {Object[]|null} Lightbox image objects, null for a regular track
+     * @private
+     */
+    #getGalleryData(gallery) {
+      if (this.#galleryData.has(gallery)) return this.#galleryData.get(gallery);
+
+      const section = gallery.closest(this.options.gallerySectionSelector);
+      const script = section?.querySelector('script.cm-gallery-section__data');
+      const threshold = this.options.virtualGallery;
+      let data = null;
+
+      if (script) {
+        try {
+          data = JSON.parse(script.textContent).map(getDataLightboxImage);
+        } catch (error) {
+          console.warn('CardMorph: Invalid gallery data', script, error);
+          return null;
+        }
+      } else if (this.options.draggable && typeof threshold === 'number' && threshold > 0) {
+        // Only an engine-driven track can move the window
+        const media = gallery.querySelectorAll('.cm-gallery-section__item :is(img, video)');
+        if (media.length < threshold) return null;
+
+        // The data replaces the markup - items are rebuilt as they come into view
+        data = Array.from(media, getLightboxImage);
+      }
+
+      if (data) this.#galleryData.set(gallery, data);
+      return data;
+    }
+
+    /**
+     * Set up a windowed track: lay out every item from data, mount the ones
+     * near the viewport and create the engine right away (there are no
+     * images to wait for)
+     * @param {Element} gallery
+     * @param {Object[]} data - Lightbox image objects
+     * @private
+     */
+    #initVirtualGallery(gallery, data) {
+      gallery.replaceChildren();
+      this.#virtualGallery = { gallery, data, boxes: [], top: 0, mounted: new Map(), free: [] };
+      this.#layoutVirtualGallery();
+
+      if (this.options.lightbox !== false) {
+        this.#lightboxImageData = data;
+
+        // One delegated handler - items come and go as the track moves
+        const keyHandler = (e) => {
+          const item = e.target.closest('.cm-gallery-section__item');
+          if (!item || (e.key !== 'Enter' && e.key !== ' ')) return;
 
-      // Remove escape handler
-      if (this.#boundEscapeHandler) {
-        document.removeEventListener('keydown', this.#boundEscapeHandler);
-        this.#boundEscapeHandler = null;
+          e.preventDefault();
+          this.#openLightbox(parseInt(item.dataset.lightboxIndex, 10), item);
+        };
+        gallery.addEventListener('keydown', keyHandler);
+        this.#lightboxHandlers = [{ item: gallery, handlers: { keyHandler } }];
       }
 
-      // Cleanup gallery
-      this.#cleanupGallery();
+      this.#updateVirtualWindow(0);
+      requestAnimationFrame(() => this.#createGallery(gallery));
+    }
 
-      // Restore body scroll (skip if already restored for back gesture)
-      if (!scrollAlreadyRestored) {
-        document.body.style.overflow = '';
-        document.body.style.position = '';
-        document.body.style.top = '';
-        document.body.style.width = '';
-        document.body.style.touchAction = '';
-        document.documentElement.style.overflow = '';
-        document.body.classList.remove('cm-no-scroll');
+    /**
+     * Size every windowed item from its aspect ratio (3:2 when unknown) at the
+     * height CSS gives track items, and size the track to the full virtual
+     * width so Draggable bounds match an unwindowed track
+     * @private
+     */
+    #layoutVirtualGallery() {
+      const virtual = this.#virtualGallery;
+      if (!virtual) return;
+
+      const { gallery, data } = virtual;
+
+      // Measure a regular (in-flow) item for height and max-width
+      gallery.classList.remove('cm-gallery-section__track--virtual');
+      const probe = document.createElement('div');
+      probe.className = 'cm-gallery-section__item';
+      probe.style.visibility = 'hidden';
+      gallery.appendChild(probe);
+      const height = probe.offsetHeight;
+      const maxWidth = parseFloat(getComputedStyle(probe).maxWidth) || Infinity;
+      probe.remove();
+      gallery.classList.add('cm-gallery-section__track--virtual');
+
+      const style = getComputedStyle(gallery);
+      const gap = parseFloat(style.columnGap) || 0;
+      const paddingLeft = parseFloat(style.paddingLeft) || 0;
+      const paddingRight = parseFloat(style.paddingRight) || 0;
+
+      let left = paddingLeft;
+      virtual.boxes = data.map(image => {
+        const ratio = image.width > 0 && image.height > 0 ? image.width / image.height : 3 / 2;
+        const width = Math.min(Math.round(height * ratio), maxWidth);
+        const box = { left, width, height };
+        left += width + gap;
+        return box;
+      });
+      virtual.top = parseFloat(style.paddingTop) || 0;
 
-        // Restore scroll position
-        window.scrollTo(0, this.scrollPosition);
+      // A native track keeps its viewport width and scrolls over a sizer instead
+      const content = Math.max(0, left - gap - paddingLeft);
+      if (gallery.classList.contains('cm-gallery-section__track--native')) {
+        gallery.style.width = '';
+        gallery.style.setProperty('--cm-track-width', `${content + paddingLeft + paddingRight}px`);
+      } else {
+        gallery.style.removeProperty('--cm-track-width');
+        gallery.style.width = `${style.boxSizing === 'border-box' ? content + paddingLeft + paddingRight : content}px`;
       }
 
-      // Resume Lenis with error handling and delay for mobile Safari
-      try {
-        // Small delay to ensure DOM is ready on mobile
-        setTimeout(() => {
-          this.#lenis?.start();
-        }, 50);
-      } catch (e) {
-        console.warn('CardMorph: Error starting Lenis', e);
-      }
+      virtual.mounted.forEach((node, index) => this.#positionVirtualItem(node, index));
+    }
 
-      // Refresh ScrollTrigger after restoring body position and scroll
-      // This is critical: when body was position:fixed, ScrollTrigger cached stale positions
-      // Without refresh, triggers will fire at wrong scroll positions causing layout corruption
-      // Use immediate refresh (no "true" param) to avoid blocking scroll on mobile
-      const { ScrollTrigger } = CardMorph.dependencies;
-      if (ScrollTrigger) {
-        // Use requestAnimationFrame to ensure DOM has settled after scroll restoration
-        requestAnimationFrame(() => {
-          ScrollTrigger.refresh();
-        });
+    /**
+     * Mount the windowed items within half a viewport of the visible span
+     * and release the rest to the pool for reuse
+     * @param {number} x - Track position
+     * @private
+     */
+    #updateVirtualWindow(x) {
+      const virtual = this.#virtualGallery;
+      if (!virtual) return;
+
+      const { gallery, boxes, mounted, free } = virtual;
+      const viewport = gallery.parentElement?.offsetWidth || window.innerWidth;
+      const start = -x - viewport / 2;
+      const end = -x + viewport * 1.5;
+
+      // Boxes run left to right - binary search the first one reaching the window
+      let first = 0;
+      let last = boxes.length;
+      while (first < last) {
+        const middle = (first + last) >> 1;
+        if (boxes[middle].left + boxes[middle].width < start) first = middle + 1;
+        else last = middle;
       }
+      last = first;
+      while (last + 1 < boxes.length && boxes[last + 1].left <= end) last++;
 
-      // Return focus
-      this.activeCard?.focus();
-
-      // Dispatch event
-      this.container.dispatchEvent(new CustomEvent('cardmorph:close', {
-        detail: { view, card: this.activeCard, instance: this }
-      }));
+      mounted.forEach((node, index) => {
+        // A focused item stays until focus moves on
+        if ((index >= first && index <= last) || node.contains(document.activeElement)) return;
 
-      // Callback
-      this.options.onClose?.(this.activeCard, view);
+        mounted.delete(index);
+        node.remove();
+        free.push(node);
+      });
 
-      // Reset state
-      const card = this.activeCard;
-      this.activeView = null;
-      this.activeCard = null;
+      for (let index = first; index <= last && index < boxes.length; index++) {
+        if (mounted.has(index)) continue;
 
-      // Reset view
-      gsap.set(view, { opacity: 0 });
+        const node = free.pop() || document.createElement('div');
+        this.#fillVirtualItem(node, index);
 
-      const gallery = view.querySelector(this.options.galleryTrackSelector);
-      if (gallery) {
-        gsap.set(gallery, { x: 0 });
+        // Keep DOM order = index order for Tab
+        let next = null;
+        mounted.forEach((other, i) => {
+          if (i > index && (next === null || i < next)) next = i;
+        });
+        gallery.insertBefore(node, next === null ? null : mounted.get(next));
+        mounted.set(index, node);
       }
-
-      announce('View closed');
     }
 
-    // ========================================================================
-    // URL NAVIGATION
-    // ========================================================================
-
     /**
-     * Update URL hash when opening a view
-     * @param {string} viewId
+     * @param {Element} node - Windowed item
+     * @param {number} index
      * @private
      */
-    #updateHash(viewId) {
-      history.pushState({ cmView: viewId }, '', `#${viewId}`);
+    #positionVirtualItem(node, index) {
+      const { boxes, top } = this.#virtualGallery;
+      const box = boxes[index];
+
+      Object.assign(node.style, {
+        left: `${box.left}px`,
+        top: `${top}px`,
+        width: `${box.width}px`,
+        height: `${box.height}px`
+      });
     }
 
     /**
-     * Clear URL hash when closing a view
+     * Point a (new or recycled) item node at a data entry
+     * @param {Element} node
+     * @param {number} index
      * @private
      */
-    #clearHash() {
-      history.pushState({}, '', window.location.pathname + window.location.search);
+    #fillVirtualItem(node, index) {
+      const image = this.#virtualGallery.data[index];
+
+      node.className = 'cm-gallery-section__item';
+      node.dataset.lightboxIndex = index;
+      this.#positionVirtualItem(node, index);
+
+      if (this.#lightboxImageData.length > 0) {
+        node.setAttribute('tabindex', '0');
+        node.setAttribute('role', 'button');
+        node.setAttribute('aria-label', formatString(this.#strings.viewImage, {
+          index: index + 1,
+          alt: image.alt || this.#strings.galleryImage
+        }));
+      }
+
+      this.#setGalleryItemMedia(node, image, { sizes: `${this.#virtualGallery.boxes[index].width}px` });
     }
 
     /**
-     * Handle popstate event (browser back/forward)
-     * @param {PopStateEvent} e
+     * Give an item built from data its <img> or muted looping <video>,
+     * reusing the current media element when the type matches
+     * @param {Element} node - Gallery item
+     * @param {Object} image - Lightbox image object
+     * @param {{sizes?: string, lazy?: boolean}} [options] - Image sizes and lazy loading
      * @private
      */
-    #handlePopState(e) {
-      const hash = window.location.hash.slice(1);
+    #setGalleryItemMedia(node, image, { sizes = 'auto, 300px', lazy = false } = {}) {
+      const isVideo = image.type === 'video';
+
+      let media = node.firstElementChild;
+      if (media?.tagName !== (isVideo ? 'VIDEO' : 'IMG')) {
+        media = document.createElement(isVideo ? 'video' : 'img');
+        media.addEventListener(isVideo ? 'loadeddata' : 'load', () => node.classList.remove('cm-gallery-section__item--loading'));
+        media.addEventListener('error', () => node.classList.remove('cm-gallery-section__item--loading'));
+        node.replaceChildren(media);
+      }
 
-      if (hash && !this.activeView) {
-        // Hash present but no view open - open the view
-        const card = this.container.querySelector(`[data-cm-view-id="${hash}"]`);
-        if (card) {
-          this.#openView(card, true); // true = skip history push
-        }
-      } else if (!hash && this.activeView) {
-        // No hash but view open - close the view without pushing history
-        // CRITICAL: Immediately restore scroll on back gesture (before animation)
-        // Mobile Safari needs scrollable content instantly during back transition
-        this.#immediateScrollRestore();
-        this.#closeInternal(true, true); // skipHistory=true, scrollAlreadyRestored=true
+      // Hide the previous photo until the new one arrives
+      node.classList.add('cm-gallery-section__item--loading');
+
+      if (isVideo) {
+        const source = image.sources.find(s => !s.type || media.canPlayType(s.type));
+        media.preload = 'metadata';
+        media.poster = image.poster || '';
+        media.src = source?.src || image.src;
+        media.setAttribute('aria-label', image.alt || '');
+        this.#playGalleryVideos(node);
+      } else {
+        media.alt = image.alt || '';
+        media.decoding = 'async';
+        if (lazy) media.loading = 'lazy';
+        if (image.srcset) {
+          media.sizes = sizes;
+          media.srcset = image.srcset;
+        } else {
+          media.removeAttribute('srcset');
+        }
+        media.src = image.src;
+        if (media.complete && media.naturalWidth) node.classList.remove('cm-gallery-section__item--loading');
       }
     }
 
     /**
-     * Immediately restore body scroll (used for back gesture)
-     * This ensures mobile Safari has scrollable content during back transition
+     * Gallery item element for an index (mounted items only in a windowed track)
+     * @param {number} index
+     * @returns {Element|null}
      * @private
      */
-    #immediateScrollRestore() {
-      document.body.style.overflow = '';
-      document.body.style.position = '';
-      document.body.style.top = '';
-      document.body.style.width = '';
-      document.body.style.touchAction = '';
-      document.documentElement.style.overflow = '';
-      document.body.classList.remove('cm-no-scroll');
-      window.scrollTo(0, this.scrollPosition);
+    #getGalleryItem(index) {
+      if (this.#virtualGallery) return this.#virtualGallery.mounted.get(index) || null;
+
+      const gallery = this.#galleryState?.gallery || this.activeView?.querySelector(this.options.galleryTrackSelector);
+      return gallery?.querySelectorAll('.cm-gallery-section__item')[index] || null;
     }
 
     /**
-     * Internal close method with history control
-     * @param {boolean} skipHistory - Skip clearing hash from history
-     * @param {boolean} scrollAlreadyRestored - Skip scroll restoration (already done for back gesture)
+     * Play the track's videos muted and looping, like animated images
+     * They stay paused with reduced motion
+     * @param {Element} gallery
      * @private
      */
-    #closeInternal(skipHistory = false, scrollAlreadyRestored = false) {
-      if (!this.activeView) return;
+    #playGalleryVideos(gallery) {
+      const reduceMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-      const { gsap } = CardMorph.dependencies;
-      const view = this.activeView;
-
-      // Clear hash before closing (unless skipping for popstate)
-      if (!skipHistory) {
-        this.#clearHash();
-      }
+      gallery.querySelectorAll('video').forEach(video => {
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
 
-      // Safety timeout to ensure Lenis is restarted even if animation fails
-      const safetyTimeout = setTimeout(() => {
-        if (this.activeView) {
-          console.warn('CardMorph: Close animation timed out, forcing cleanup');
-          this.#finalizeClose(view, scrollAlreadyRestored);
+        if (reduceMotion) {
+          video.pause();
+        } else {
+          video.play().catch(() => {});
         }
-      }, 1000);
+      });
+    }
 
-      const cleanupAndFinalize = () => {
-        clearTimeout(safetyTimeout);
-        this.#finalizeClose(view, scrollAlreadyRestored);
-      };
+    /**
+     * Initialize lightbox for gallery images
+     * Uses GSAP Draggable's built-in click detection (3px threshold)
+     * instead of custom mouse tracking for reliable click vs drag distinction
+     * @param {Element} gallery
+     * @param {Object[]} imageData - Lightbox image objects, in item order
+     * @private
+     */
+    #initLightbox(gallery, imageData) {
+      // Store handlers for cleanup
+      this.#lightboxHandlers = [];
 
-      if (!this.#isReducedMotion()) {
-        gsap.to(view, {
-          opacity: 0,
-          duration: 0.3,
-          ease: 'power2.in',
-          onComplete: cleanupAndFinalize
+      // Store image data for Draggable onClick callback
+      this.#lightboxImageData = imageData;
+
+      // Add click handlers to gallery items
+      const galleryItems = gallery.querySelectorAll('.cm-gallery-section__item');
+
+      galleryItems.forEach((item, index) => {
+        // Store index on item for Draggable onClick access
+        item.dataset.lightboxIndex = index;
+
+        // Make items focusable for keyboard access
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('role', 'button');
+        item.setAttribute('aria-label', formatString(this.#strings.viewImage, {
+          index: index + 1,
+          alt: imageData[index].alt || this.#strings.galleryImage
+        }));
+
+        // Keyboard handler (Draggable doesn't intercept keyboard events)
+        const keyHandler = (e) => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.#openLightbox(index, item);
+          }
+        };
+        item.addEventListener('keydown', keyHandler);
+
+        // Store handlers for cleanup
+        this.#lightboxHandlers.push({
+          item,
+          handlers: { keyHandler }
         });
-      } else {
-        cleanupAndFinalize();
-      }
+      });
     }
 
-    // ========================================================================
-    // GALLERY
-    // ========================================================================
+    /**
+     * Open the lightbox on a gallery item, forwarding its events to subscribers
+     * @param {number} index
+     * @param {Element} item - Trigger element (receives focus on close)
+     * @private
+     */
+    #openLightbox(index, item, skipHistory = false) {
+      const images = this.#lightboxImageData;
+      const view = this.activeView;
+      const viewId = this.#getViewId(this.activeCard);
+      const detail = (i, image) => ({ index: i, image, images, view, instance: this });
+
+      // Downloads are opt-in per gallery: <section class="cm-gallery-section" data-cm-download>
+      const section = view?.querySelector(this.options.gallerySectionSelector);
+      const download = Boolean(section?.hasAttribute('data-cm-download')) && section.dataset.cmDownload !== 'false';
+
+      // Opening pushes #view/N/lightbox, slide changes replace it and closing
+      // replaces it with #view/N - so Back steps lightbox -> view -> page
+      this.#skipLightboxHistory = skipHistory;
+
+      const opened = Lightbox.open(images, index, item, {
+        onOpen: (i, image) => {
+          if (!this.#skipLightboxHistory) {
+            this.#updateHash(viewId, { index: i, lightbox: true });
+          }
+          this.#skipLightboxHistory = false;
+          this.#emit('lightboxOpen', detail(i, image));
+        },
+        onChange: (i, image) => {
+          this.#updateHash(viewId, { index: i, lightbox: true, replace: true });
+          this.#emit('lightboxChange', detail(i, image));
+        },
+        onClose: (i, image) => {
+          this.#lightboxOpen = false;
+          if (!this.#skipLightboxHistory && this.activeView === view) {
+            this.#updateHash(viewId, { index: i, replace: true });
+          }
+          this.#skipLightboxHistory = false;
+          this.#emit('lightboxClose', detail(i, image));
+        },
+        onAction: (action, i, image, actionDetail) => {
+          this.#emit('lightboxAction', { action, ...actionDetail, ...detail(i, image) });
+        }
+      }, {
+        thumbnails: this.options.thumbnails,
+        slideshow: this.options.slideshow,
+        actions: { ...this.options.lightboxActions, download },
+        // Share the photo's deep link whatever the address bar shows
+        shareUrl: (i) => `${window.location.pathname}${window.location.search}#${viewId}/${i + 1}/lightbox`,
+        strings: this.#strings
+      });
+
+      if (opened) this.#lightboxOpen = true;
+    }
 
     /**
-     * Initialize gallery for a view
-     * @param {Element} view
+     * Set up the gallery track: shared position helpers, arrows, keys and the
+     * resize handler, then the engine - GSAP Draggable, or native overflow
+     * scrolling with galleryEngine: 'native' or when Draggable isn't registered
+     * @param {Element} gallery
      * @private
      */
-    #initGallery(view) {
-      if (!this.options.draggable) return;
+    #createGallery(gallery) {
+      // Prevent race condition - check both ready and creating flags
+      if (this.#galleryState || this.#draggableCreating) return;
 
-      const gallery = view.querySelector(this.options.galleryTrackSelector);
-      if (!gallery) return;
+      const gallerySection = gallery.closest(this.options.gallerySectionSelector);
+      if (!gallerySection) return;
+
+      this.#draggableCreating = true;
 
       const { gsap } = CardMorph.dependencies;
-      const images = gallery.querySelectorAll('img');
+      const native = this.#usesNativeGallery;
 
-      if (images.length === 0) {
-        this.#createDraggable(gallery);
-        return;
-      }
+      // Bounds calculation
+      const updateBounds = native
+        ? () => ({ minX: -Math.max(0, gallery.scrollWidth - gallery.clientWidth), maxX: 0 })
+        : () => {
+          const containerWidth = gallerySection.offsetWidth;
+          const galleryWidth = gallery.scrollWidth;
+          const maxDrag = Math.max(0, galleryWidth - containerWidth + 40);
+          return { minX: -maxDrag, maxX: 0 };
+        };
 
-      // Reset gallery position
-      gsap.set(gallery, { x: 0 });
+      // Track position as a Draggable x: 0 at the start, negative further along
+      const getX = native ? () => -gallery.scrollLeft : () => gsap.getProperty(gallery, 'x');
 
-      // Initialize lightbox for gallery items
-      if (this.options.lightbox !== false) {
-        this.#initLightbox(gallery, images);
-      }
+      // Update arrow states and report the track position
+      // Called on every position change (drag, throw, scroll, wheel, arrows, resize)
+      const updateGalleryState = () => {
+        const bounds = updateBounds();
+        const currentX = getX();
 
-      // Wait for images to load with debounced draggable creation
-      let loadedCount = 0;
-      const totalImages = images.length;
-      let createScheduled = false;
+        this.#updateVirtualWindow(currentX);
 
-      const scheduleCreateDraggable = () => {
-        if (createScheduled) return;
-        createScheduled = true;
-        // Use double rAF to ensure DOM is fully ready (especially on mobile)
-        requestAnimationFrame(() => {
-          requestAnimationFrame(() => {
-            this.#createDraggable(gallery);
-          });
-        });
-      };
+        if (this.#galleryNavContainer) {
+          const prevArrow = this.#galleryNavContainer.querySelector('.cm-gallery-nav__arrow--prev');
+          const nextArrow = this.#galleryNavContainer.querySelector('.cm-gallery-nav__arrow--next');
 
-      const onImageReady = () => {
-        loadedCount++;
-        if (loadedCount >= totalImages) {
-          scheduleCreateDraggable();
+          prevArrow?.classList.toggle('cm-gallery-nav__arrow--hidden', currentX >= 0);
+          nextArrow?.classList.toggle('cm-gallery-nav__arrow--hidden', currentX <= bounds.minX + 1);
         }
+
+        this.#updateGalleryIndicator(currentX, bounds);
+
+        this.#emit('galleryMove', {
+          x: currentX,
+          progress: bounds.minX < 0 ? currentX / bounds.minX : 0,
+          bounds,
+          view: this.activeView,
+          instance: this
+        });
       };
 
-      images.forEach(img => {
-        if (img.complete && img.naturalHeight !== 0) {
-          onImageReady();
+      // Move the track to x - tweened (smooth-scrolled natively) or at once
+      const moveTo = (x, { animate = true, duration = 0.5, ease = 'power2.out' } = {}) => {
+        if (native) {
+          const smooth = animate && !window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+          gallery.scrollTo({ left: -x, behavior: smooth ? 'smooth' : 'auto' });
+          // Scroll events report the smooth scroll as it runs
+          if (!smooth) updateGalleryState();
+        } else if (animate) {
+          gsap.to(gallery, { x, duration, ease, overwrite: true, onUpdate: updateGalleryState });
         } else {
-          img.addEventListener('load', onImageReady);
-          img.addEventListener('error', onImageReady);
+          gsap.killTweensOf(gallery);
+          gsap.set(gallery, { x });
+          updateGalleryState();
         }
-      });
+      };
+
+      // Every item's {left, width} in the track - computed up front in a
+      // windowed track, where most items aren't mounted
+      const getItemBoxes = () => this.#virtualGallery?.boxes ||
+        Array.from(gallery.querySelectorAll('.cm-gallery-section__item'), item => ({
+          left: item.offsetLeft,
+          width: item.offsetWidth
+        }));
+
+      // Track position that puts an item box at the start edge or center (snap: 'center')
+      const itemPosition = (box) => {
+        const bounds = updateBounds();
+        const x = this.options.snap === 'center'
+          ? (gallerySection.offsetWidth - box.width) / 2 - box.left
+          : (parseFloat(getComputedStyle(gallery).paddingLeft) || 0) - box.left;
+        return Math.max(bounds.minX, Math.min(bounds.maxX, x));
+      };
+
+      // Snap positions from start to end, measured on use so they follow
+      // resizes and late-loading images; both ends stay reachable
+      const getSnapPoints = () => {
+        const bounds = updateBounds();
+        const items = getItemBoxes().map(itemPosition);
+        return [...new Set([bounds.maxX, ...items, bounds.minX].map(Math.round))].sort((a, b) => b - a);
+      };
+
+      const nearestSnapPoint = (x) => getSnapPoints().reduce((nearest, point) =>
+        Math.abs(point - x) < Math.abs(nearest - x) ? point : nearest
+      );
+
+      // Expose track helpers for deep links and programmatic scrolling
+      this.#galleryState = {
+        gallery,
+        section: gallerySection,
+        native,
+        updateBounds,
+        update: updateGalleryState,
+        getX,
+        moveTo,
+        getItemBoxes,
+        itemPosition,
+        getSnapPoints,
+        nearestSnapPoint
+      };
+
+      if (native) {
+        this.#bindNativeGallery(gallery);
+      } else {
+        this.#bindDraggable(gallery);
+      }
+
+      // Reset creation flag now that the engine is running
+      this.#draggableCreating = false;
+
+      // Create navigation
+      this.#createGalleryNav(gallerySection);
+
+      // Keyboard navigation
+      if (this.options.keyboard) {
+        this.#galleryKeyHandler = (e) => {
+          // Shift + arrows belong to sibling view navigation
+          if (!this.activeView || e.shiftKey) return;
+
+          if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.#scrollGallery(1);
+          } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.#scrollGallery(-1);
+          }
+        };
+        document.addEventListener('keydown', this.#galleryKeyHandler);
+      }
+
+      // Resize handler
+      let resizeTimeout;
+      this.#resizeHandler = () => {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(() => {
+          this.#layoutVirtualGallery();
+          this.#activeDraggable?.applyBounds(updateBounds());
+
+          // Item widths change with the viewport - realign to the nearest item
+          // (CSS scroll snapping realigns a native track itself)
+          if (this.options.snap && !native) {
+            gsap.set(gallery, { x: nearestSnapPoint(getX()) });
+          }
+          updateGalleryState();
+        }, 150);
+      };
+      window.addEventListener('resize', this.#resizeHandler);
 
-      // Fallback timeout (reduced from 2s to 1s for better UX)
-      setTimeout(() => {
-        if (!this.#activeDraggable && !this.#draggableCreating) {
-          scheduleCreateDraggable();
-        }
-      }, 1000);
+      updateGalleryState();
+
+      // Deep link (#view/7) waiting for the gallery
+      this.#applyGalleryTarget();
     }
 
     /**
-     * Initialize lightbox for gallery images
-     * Uses GSAP Draggable's built-in click detection (3px threshold)
-     * instead of custom mouse tracking for reliable click vs drag distinction
-     * @param {Element} gallery
-     * @param {NodeList} images
+     * Whether the track scrolls natively (galleryEngine: 'native', or no
+     * Draggable plugin to drive it)
+     * @type {boolean}
      * @private
      */
-    #initLightbox(gallery, images) {
-      // Collect image data
-      const imageData = Array.from(images).map(img => ({
-        src: img.src,
-        alt: img.alt || '',
-        caption: img.alt || ''
-      }));
-
-      // Store handlers for cleanup
-      this.#lightboxHandlers = [];
-
-      // Store image data for Draggable onClick callback
-      this.#lightboxImageData = imageData;
-
-      // Add click handlers to gallery items
-      const galleryItems = gallery.querySelectorAll('.cm-gallery-section__item');
-
-      galleryItems.forEach((item, index) => {
-        // Store index on item for Draggable onClick access
-        item.dataset.lightboxIndex = index;
+    get #usesNativeGallery() {
+      return this.options.galleryEngine === 'native' || !CardMorph.dependencies.Draggable;
+    }
 
-        // Make items focusable for keyboard access
-        item.setAttribute('tabindex', '0');
-        item.setAttribute('role', 'button');
-        item.setAttribute('aria-label', `View image ${index + 1}: ${imageData[index].alt || 'Gallery image'}`);
+    /**
+     * Native engine: the browser scrolls the track (touch, wheel, momentum and
+     * CSS scroll snapping); scroll events drive the shared state and clicks
+     * open the lightbox
+     * @param {Element} gallery
+     * @private
+     */
+    #bindNativeGallery(gallery) {
+      // Drop inline styles left by a Draggable from an earlier engine
+      gallery.style.cursor = '';
+      gallery.style.touchAction = '';
 
-        // Keyboard handler (Draggable doesn't intercept keyboard events)
-        const keyHandler = (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            Lightbox.open(imageData, index, item);
-          }
-        };
-        item.addEventListener('keydown', keyHandler);
+      this.#galleryScrollHandler = () => this.#galleryState?.update();
+      gallery.addEventListener('scroll', this.#galleryScrollHandler, { passive: true });
 
-        // Store handlers for cleanup
-        this.#lightboxHandlers.push({
-          item,
-          handlers: { keyHandler }
-        });
-      });
+      this.#bindGalleryClicks(gallery);
     }
 
     /**
-     * Create draggable gallery
+     * Open the lightbox on item clicks - Draggable's onClick does this for a
+     * dragged track, this for native scrolling and grid layouts
      * @param {Element} gallery
      * @private
      */
-    #createDraggable(gallery) {
-      // Prevent race condition - check both active and creating flags
-      if (this.#activeDraggable || this.#draggableCreating) return;
-      this.#draggableCreating = true;
+    #bindGalleryClicks(gallery) {
+      this.#galleryClickHandler = (e) => {
+        const item = e.target.closest('.cm-gallery-section__item');
+        if (!item || this.#lightboxImageData.length === 0) return;
+
+        const index = parseInt(item.dataset.lightboxIndex, 10);
+        if (!isNaN(index)) {
+          this.#openLightbox(index, item);
+        }
+      };
+      gallery.addEventListener('click', this.#galleryClickHandler);
+    }
 
+    /**
+     * Draggable engine: drag with momentum, horizontal wheel/touchpad
+     * scrolling and snap settling
+     * @param {Element} gallery
+     * @private
+     */
+    #bindDraggable(gallery) {
       const { gsap, Draggable } = CardMorph.dependencies;
-
-      if (!Draggable) {
-        console.warn('CardMorph: Draggable plugin not available');
-        return;
-      }
-
-      const gallerySection = gallery.closest(this.options.gallerySectionSelector);
-      if (!gallerySection) return;
-
-      const scrollStep = this.options.scrollStep;
+      const { section: gallerySection, updateBounds, update: updateGalleryState, nearestSnapPoint } = this.#galleryState;
 
       // Velocity tracking for momentum
       let lastX = 0;
       let lastTime = 0;
       let velocity = 0;
 
-      // Bounds calculation
-      const updateBounds = () => {
-        const containerWidth = gallerySection.offsetWidth;
-        const galleryWidth = gallery.scrollWidth;
-        const maxDrag = Math.max(0, galleryWidth - containerWidth + 40);
-        return { minX: -maxDrag, maxX: 0 };
-      };
-
-      // Update arrow states
-      const updateArrowStates = () => {
-        if (!this.#galleryNavContainer) return;
-
-        const bounds = updateBounds();
-        const currentX = gsap.getProperty(gallery, 'x');
-        const prevArrow = this.#galleryNavContainer.querySelector('.cm-gallery-nav__arrow--prev');
-        const nextArrow = this.#galleryNavContainer.querySelector('.cm-gallery-nav__arrow--next');
-
-        prevArrow?.classList.toggle('cm-gallery-nav__arrow--hidden', currentX >= 0);
-        nextArrow?.classList.toggle('cm-gallery-nav__arrow--hidden', currentX <= bounds.minX);
-      };
-
       // Store reference for onClick callback
       const instance = this;
 
@@ -1561,7 +5907,7 @@
           if (item && instance.#lightboxImageData.length > 0) {
             const index = parseInt(item.dataset.lightboxIndex, 10);
             if (!isNaN(index)) {
-              Lightbox.open(instance.#lightboxImageData, index, item);
+              instance.#openLightbox(index, item);
             }
           }
         },
@@ -1569,6 +5915,7 @@
           lastX = this.x;
           lastTime = Date.now();
           velocity = 0;
+          instance.#emit('dragStart', { x: this.x, view: instance.activeView, instance });
         },
         onDrag: function() {
           const now = Date.now();
@@ -1578,50 +5925,33 @@
           }
           lastX = this.x;
           lastTime = now;
-          updateArrowStates();
+          updateGalleryState();
         },
         onDragEnd: function() {
-          if (Math.abs(velocity) > 1) {
-            const bounds = updateBounds();
-            const throwDistance = velocity * 15;
-            let targetX = this.x + throwDistance;
-            targetX = Math.max(bounds.minX, Math.min(bounds.maxX, targetX));
-
-            gsap.to(gallery, {
-              x: targetX,
-              duration: 0.8,
-              ease: 'power3.out',
-              onUpdate: updateArrowStates
-            });
-          }
+          instance.#emit('dragEnd', { x: this.x, velocity, view: instance.activeView, instance });
+
+          const isThrow = Math.abs(velocity) > 1;
+          if (!isThrow && !instance.options.snap) return;
+
+          // Throws land where momentum takes them - or at the nearest item with snap
+          const bounds = updateBounds();
+          let targetX = this.x + (isThrow ? velocity * 15 : 0);
+          targetX = Math.max(bounds.minX, Math.min(bounds.maxX, targetX));
+          if (instance.options.snap) targetX = nearestSnapPoint(targetX);
+
+          gsap.to(gallery, {
+            x: targetX,
+            duration: isThrow ? 0.8 : 0.4,
+            ease: 'power3.out',
+            onUpdate: updateGalleryState
+          });
         }
       })[0];
 
-      // Reset creation flag now that Draggable is created
-      this.#draggableCreating = false;
-
-      // Create navigation
-      this.#createGalleryNav(gallerySection, gallery, updateBounds, updateArrowStates, scrollStep);
-
-      // Keyboard navigation
-      if (this.options.keyboard) {
-        this.#galleryKeyHandler = (e) => {
-          if (!this.activeView) return;
-
-          if (e.key === 'ArrowLeft') {
-            e.preventDefault();
-            this.#scrollGallery(gallery, 1, updateBounds, updateArrowStates, scrollStep);
-          } else if (e.key === 'ArrowRight') {
-            e.preventDefault();
-            this.#scrollGallery(gallery, -1, updateBounds, updateArrowStates, scrollStep);
-          }
-        };
-        document.addEventListener('keydown', this.#galleryKeyHandler);
-      }
-
       // Wheel/touchpad scroll - handle horizontal scroll while allowing vertical
       // Best practice: Only intercept clearly horizontal gestures, let vertical pass through
       // Reference: MDN wheel event - use deltaX/deltaY for intent detection
+      let wheelSnapTimeout;
       this.#galleryWheelHandler = (e) => {
         const absX = Math.abs(e.deltaX);
         const absY = Math.abs(e.deltaY);
@@ -1645,50 +5975,51 @@
 
         if (Math.abs(newX - currentX) > 0.1) {
           gsap.set(gallery, { x: newX });
-          updateArrowStates();
+          updateGalleryState();
+        }
+
+        // Settle on an item once the wheel/trackpad gesture stops
+        if (this.options.snap) {
+          clearTimeout(wheelSnapTimeout);
+          wheelSnapTimeout = setTimeout(() => {
+            if (this.#activeDraggable?.target !== gallery) return;
+            gsap.to(gallery, {
+              x: nearestSnapPoint(gsap.getProperty(gallery, 'x')),
+              duration: 0.4,
+              ease: 'power3.out',
+              onUpdate: updateGalleryState
+            });
+          }, 150);
         }
       };
       // passive: false is required to call preventDefault() - see MDN wheel event docs
       gallerySection.addEventListener('wheel', this.#galleryWheelHandler, { passive: false, capture: true });
-
-      // Resize handler
-      let resizeTimeout;
-      this.#resizeHandler = () => {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(() => {
-          this.#activeDraggable?.applyBounds(updateBounds());
-          updateArrowStates();
-        }, 150);
-      };
-      window.addEventListener('resize', this.#resizeHandler);
-
-      updateArrowStates();
     }
 
     /**
      * Create gallery navigation arrows
      * @private
      */
-    #createGalleryNav(gallerySection, gallery, updateBounds, updateArrowStates, scrollStep) {
+    #createGalleryNav(gallerySection) {
       const navContainer = document.createElement('div');
       navContainer.className = 'cm-gallery-nav';
 
       const prevArrow = document.createElement('button');
       prevArrow.className = 'cm-gallery-nav__arrow cm-gallery-nav__arrow--prev';
-      prevArrow.setAttribute('aria-label', 'Previous images');
+      prevArrow.setAttribute('aria-label', this.#strings.previousImages);
       prevArrow.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="15,18 9,12 15,6"></polyline></svg>';
 
       const nextArrow = document.createElement('button');
       nextArrow.className = 'cm-gallery-nav__arrow cm-gallery-nav__arrow--next';
-      nextArrow.setAttribute('aria-label', 'Next images');
+      nextArrow.setAttribute('aria-label', this.#strings.nextImages);
       nextArrow.innerHTML = '<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="9,6 15,12 9,18"></polyline></svg>';
 
       prevArrow.addEventListener('click', () => {
-        this.#scrollGallery(gallery, 1, updateBounds, updateArrowStates, scrollStep);
+        this.#scrollGallery(1);
       });
 
       nextArrow.addEventListener('click', () => {
-        this.#scrollGallery(gallery, -1, updateBounds, updateArrowStates, scrollStep);
+        this.#scrollGallery(-1);
       });
 
       navContainer.appendChild(prevArrow);
@@ -1696,26 +6027,214 @@
       gallerySection.appendChild(navContainer);
 
       this.#galleryNavContainer = navContainer;
+      this.#createGalleryIndicator(navContainer);
     }
 
     /**
-     * Scroll gallery by direction
+     * Create the position indicator (galleryIndicator: 'bar' or 'dots'):
+     * a slider over the track position with a "4 / 13" readout
+     * @param {Element} navContainer
+     * @private
+     */
+    #createGalleryIndicator(navContainer) {
+      const style = this.options.galleryIndicator;
+      if (style !== 'bar' && style !== 'dots') return;
+
+      const total = this.#galleryState.getItemBoxes().length;
+      if (total < 2) return;
+
+      const indicator = document.createElement('div');
+      indicator.className = `cm-gallery-indicator cm-gallery-indicator--${style}`;
+
+      const slider = document.createElement('div');
+      slider.className = 'cm-gallery-indicator__slider';
+      slider.tabIndex = 0;
+      slider.setAttribute('role', 'slider');
+      slider.setAttribute('aria-label', this.#strings.galleryPosition);
+      slider.setAttribute('aria-orientation', 'horizontal');
+      slider.setAttribute('aria-valuemin', '1');
+      slider.setAttribute('aria-valuemax', String(total));
+
+      let fill = null;
+      let dots = [];
+
+      if (style === 'bar') {
+        fill = document.createElement('span');
+        fill.className = 'cm-gallery-indicator__fill';
+        slider.appendChild(fill);
+      } else {
+        dots = Array.from({ length: total }, () => {
+          const dot = document.createElement('span');
+          dot.className = 'cm-gallery-indicator__dot';
+          return dot;
+        });
+        slider.append(...dots);
+      }
+
+      const count = document.createElement('span');
+      count.className = 'cm-gallery-indicator__count';
+      count.setAttribute('aria-hidden', 'true');
+
+      indicator.append(slider, count);
+      navContainer.appendChild(indicator);
+
+      this.#galleryIndicator = { slider, fill, dots, count, value: 0 };
+      this.#bindGalleryIndicator(slider);
+    }
+
+    /**
+     * Scrub the track from the indicator: click or drag jumps (to the nearest
+     * dot's item with 'dots'), arrows/Home/End step between items
+     * @param {Element} slider
+     * @private
+     */
+    #bindGalleryIndicator(slider) {
+      const { gsap } = CardMorph.dependencies;
+      const { updateBounds, getX, getItemBoxes, getSnapPoints, nearestSnapPoint, moveTo: moveTrack } = this.#galleryState;
+      const moveTo = (x, animate = true) => moveTrack(x, { animate, duration: 0.4 });
+
+      // Pointer position along the slider, 0 (start) to 1 (end)
+      const scrub = (e, animate) => {
+        const rect = slider.getBoundingClientRect();
+        const fraction = gsap.utils.clamp(0, 1, (e.clientX - rect.left) / rect.width);
+
+        if (this.options.galleryIndicator === 'dots') {
+          this.#scrollGalleryToIndex(Math.round(fraction * (getItemBoxes().length - 1)));
+        } else {
+          moveTo(fraction * updateBounds().minX, animate);
+        }
+      };
+
+      slider.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+        e.preventDefault();
+        slider.setPointerCapture(e.pointerId);
+        slider.focus({ preventScroll: true });
+        scrub(e, true);
+      });
+
+      slider.addEventListener('pointermove', (e) => {
+        if (slider.hasPointerCapture(e.pointerId)) scrub(e, false);
+      });
+
+      const release = (e) => {
+        if (!slider.hasPointerCapture(e.pointerId)) return;
+
+        slider.releasePointerCapture(e.pointerId);
+        if (this.options.snap && this.options.galleryIndicator === 'bar') {
+          moveTo(nearestSnapPoint(getX()));
+        }
+      };
+      slider.addEventListener('pointerup', release);
+      slider.addEventListener('pointercancel', release);
+
+      slider.addEventListener('keydown', (e) => {
+        if (e.shiftKey || e.altKey || e.ctrlKey || e.metaKey) return;
+
+        const { minX, maxX } = updateBounds();
+        const x = getX();
+        const points = getSnapPoints();
+        const previous = () => points.filter(point => point > x + 1).pop() ?? maxX;
+        const next = () => points.find(point => point < x - 1) ?? minX;
+        const targets = {
+          ArrowLeft: previous,
+          ArrowDown: previous,
+          ArrowRight: next,
+          ArrowUp: next,
+          Home: () => maxX,
+          End: () => minX
+        };
+        if (!(e.key in targets)) return;
+
+        // Keep the document-level gallery keys from moving the track twice
+        e.preventDefault();
+        e.stopPropagation();
+        moveTo(targets[e.key]());
+      });
+    }
+
+    /**
+     * Sync the position indicator with the track
+     * The current photo is the one aligned like snap would align it;
+     * at the end of the track it is the last one
+     * @param {number} x - Track position
+     * @param {{minX: number, maxX: number}} bounds
      * @private
      */
-    #scrollGallery(gallery, direction, updateBounds, updateArrowStates, scrollStep) {
+    #updateGalleryIndicator(x, bounds) {
+      const indicator = this.#galleryIndicator;
+      if (!indicator || !this.#galleryState) return;
+
       const { gsap } = CardMorph.dependencies;
+      const { getItemBoxes, itemPosition } = this.#galleryState;
+      const positions = getItemBoxes().map(itemPosition);
+
+      let index = positions.length - 1;
+      if (x > bounds.minX + 1) {
+        index = positions.reduce((nearest, position, i) =>
+          Math.abs(position - x) < Math.abs(positions[nearest] - x) ? i : nearest
+        , 0);
+      }
+
+      if (indicator.fill) {
+        gsap.set(indicator.fill, { scaleX: bounds.minX < 0 ? x / bounds.minX : 0 });
+      }
+
+      const value = index + 1;
+      if (indicator.value === value) return;
+
+      indicator.value = value;
+      indicator.slider.setAttribute('aria-valuenow', String(value));
+      indicator.slider.setAttribute('aria-valuetext', formatString(this.#strings.galleryPositionValue, {
+        index: value,
+        total: positions.length
+      }));
+      indicator.count.textContent = `${value} / ${positions.length}`;
+      indicator.dots.forEach((dot, i) => dot.classList.toggle('cm-gallery-indicator__dot--active', i === index));
+    }
+
+    /**
+     * Scroll gallery by direction
+     * With snap, moves to the next item boundary instead of by scrollStep
+     * @param {number} direction - 1 toward the start, -1 toward the end
+     * @private
+     */
+    #scrollGallery(direction) {
+      if (!this.#galleryState) return;
 
+      const { updateBounds, getX, moveTo, getSnapPoints } = this.#galleryState;
       const bounds = updateBounds();
-      const currentX = gsap.getProperty(gallery, 'x');
-      let newX = currentX + (direction * scrollStep);
+      const currentX = getX();
+      let newX = currentX + (direction * this.options.scrollStep);
+
+      if (this.options.snap) {
+        // Snap points run from 0 down to minX; direction 1 moves toward 0
+        const points = getSnapPoints();
+        newX = direction > 0
+          ? points.filter(x => x > currentX + 1).pop() ?? bounds.maxX
+          : points.find(x => x < currentX - 1) ?? bounds.minX;
+      }
       newX = Math.max(bounds.minX, Math.min(bounds.maxX, newX));
 
-      gsap.to(gallery, {
-        x: newX,
-        duration: 0.5,
-        ease: 'power2.out',
-        onUpdate: updateArrowStates
-      });
+      moveTo(newX);
+    }
+
+    /**
+     * Move the track so an item sits at its start edge, or its center with
+     * snap: 'center' (clamped to bounds)
+     * @param {number} index - Gallery item index
+     * @param {boolean} [animate=true]
+     * @private
+     */
+    #scrollGalleryToIndex(index, animate = true) {
+      if (!this.#galleryState) return;
+
+      const { getItemBoxes, itemPosition, moveTo } = this.#galleryState;
+      const box = getItemBoxes()[index];
+      if (!box) return;
+
+      moveTo(itemPosition(box), { animate });
     }
 
     /**
@@ -1723,6 +6242,26 @@
      * @private
      */
     #cleanupGallery() {
+      const gallery = this.#galleryState?.gallery || this.activeView?.querySelector(this.options.galleryTrackSelector);
+      this.#galleryState = null;
+      this.#virtualGallery = null;
+
+      this.#galleryLayoutToggle?.remove();
+      this.#galleryLayoutToggle = null;
+
+      // Remove native scroll and grid click handlers
+      if (this.#galleryScrollHandler) {
+        gallery?.removeEventListener('scroll', this.#galleryScrollHandler);
+        this.#galleryScrollHandler = null;
+      }
+      if (this.#galleryClickHandler) {
+        gallery?.removeEventListener('click', this.#galleryClickHandler);
+        this.#galleryClickHandler = null;
+      }
+
+      // Pause track videos
+      this.activeView?.querySelectorAll(`${this.options.galleryTrackSelector} video`).forEach(video => video.pause());
+
       // Remove keyboard handler
       if (this.#galleryKeyHandler) {
         document.removeEventListener('keydown', this.#galleryKeyHandler);
@@ -1736,11 +6275,12 @@
       }
       this.#draggableCreating = false;
 
-      // Remove nav container
+      // Remove nav container (and the position indicator inside it)
       if (this.#galleryNavContainer) {
         this.#galleryNavContainer.remove();
         this.#galleryNavContainer = null;
       }
+      this.#galleryIndicator = null;
 
       // Remove wheel handler
       if (this.#galleryWheelHandler && this.activeView) {
@@ -1773,6 +6313,81 @@
       this.#lightboxImageData = [];
     }
 
+    // ========================================================================
+    // EVENTS
+    // ========================================================================
+
+    /**
+     * Subscribe to an instance event
+     * Every event is also dispatched on the container as `cardmorph:<event>`
+     * @param {string} event - Event name (e.g. 'open', 'lightboxChange')
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler) {
+      if (!this.#listeners.has(event)) {
+        this.#listeners.set(event, new Set());
+      }
+      this.#listeners.get(event).add(handler);
+
+      return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with (detail, event)
+     * @returns {Function} Unsubscribe function
+     */
+    once(event, handler) {
+      const wrapper = (detail, e) => {
+        this.off(event, wrapper);
+        handler(detail, e);
+      };
+
+      return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe a handler, or all handlers for an event when none is given
+     * @param {string} event - Event name
+     * @param {Function} [handler]
+     * @returns {CardMorph}
+     */
+    off(event, handler) {
+      if (handler) {
+        this.#listeners.get(event)?.delete(handler);
+      } else {
+        this.#listeners.delete(event);
+      }
+      return this;
+    }
+
+    /**
+     * Dispatch a container event and notify subscribers
+     * @param {string} type - Event name without the `cardmorph:` prefix
+     * @param {Object} detail
+     * @param {boolean} [cancelable=false]
+     * @returns {boolean} False if a listener called preventDefault()
+     * @private
+     */
+    #emit(type, detail, cancelable = false) {
+      const event = new CustomEvent(`cardmorph:${type}`, { detail, cancelable });
+      this.container.dispatchEvent(event);
+
+      // Copy so handlers can unsubscribe while iterating (once)
+      const handlers = Array.from(this.#listeners.get(type) || []);
+      handlers.forEach(handler => {
+        try {
+          handler(detail, event);
+        } catch (e) {
+          console.error(`CardMorph: Error in "${type}" handler`, e);
+        }
+      });
+
+      return !event.defaultPrevented;
+    }
+
     // ========================================================================
     // UTILITIES
     // ========================================================================
@@ -1786,6 +6401,26 @@
       return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
     }
 
+    /**
+     * Check if an element is at least partly inside the viewport
+     * @param {Element} element
+     * @returns {boolean}
+     * @private
+     */
+    #isInViewport(element) {
+      const rect = element.getBoundingClientRect();
+      return rect.bottom > 0 && rect.top < window.innerHeight;
+    }
+
+    /**
+     * Resolve UI strings from the locale option or the nearest lang attribute
+     * @private
+     */
+    #updateStrings() {
+      const locale = this.options.locale || this.container.closest('[lang]')?.lang;
+      this.#strings = resolveStrings(locale, this.options.strings);
+    }
+
     /**
      * Refresh the component
      * @returns {CardMorph}
@@ -1802,7 +6437,66 @@
      * @returns {CardMorph}
      */
     setOptions(options) {
+      const { ScrollTrigger } = CardMorph.dependencies;
+      const previous = this.options;
       this.options = mergeDeep(this.options, options);
+
+      // Object options (stacking, lenis) count as changed if any nested value did
+      const changed = Object.keys(options).filter(key => {
+        const before = previous[key];
+        const after = this.options[key];
+        if (after && typeof after === 'object' && !Array.isArray(after)) {
+          return Object.keys(after).some(subKey => after[subKey] !== before?.[subKey]);
+        }
+        return after !== before;
+      });
+
+      if (changed.length === 0) return this;
+
+      const has = (...keys) => keys.some(key => changed.includes(key));
+
+      // Injected labels - gallery labels are reapplied by the rebuild below
+      if (has('locale', 'strings')) {
+        this.#updateStrings();
+        this.#viewNavElements.forEach(nav => this.#labelViewNav(nav));
+      }
+
+      // Shared Lenis (recreated when its options change)
+      if (has('smoothScroll', 'lenis')) {
+        PageCoordinator.refresh(has('lenis'));
+      }
+
+      // Sticky stacking and scroll-linked effects
+      if (has('cardStacking', 'stacking')) {
+        this.#teardownCardStacking();
+        if (this.options.cardStacking && ScrollTrigger) {
+          this.#initCardStacking();
+        }
+        ScrollTrigger?.refresh();
+      }
+
+      // Next/prev controls are injected into every view, not just the open one
+      if (has('viewNav')) {
+        this.#viewNavElements.forEach(nav => nav.remove());
+        this.#viewNavElements = [];
+        if (this.options.viewNav && this.cards.length > 1) this.#initViewNav();
+      }
+
+      // Gallery handlers capture these when created - rebuild the open gallery
+      if (this.activeView && has('draggable', 'keyboard', 'lightbox', 'scrollStep', 'snap', 'galleryIndicator', 'galleryLayout', 'galleryLayoutToggle', 'galleryEngine', 'virtualGallery', 'galleryTrackSelector', 'gallerySectionSelector', 'locale', 'strings')) {
+        const gallery = this.activeView.querySelector(this.options.galleryTrackSelector);
+        this.#cleanupGallery();
+        if (gallery) CardMorph.dependencies.gsap.set(gallery, { x: 0 });
+        this.#initGallery(this.activeView);
+      }
+
+      // An open lightbox keeps the options it opened with until it next opens
+      const deferred = this.#lightboxOpen
+        ? changed.filter(key => ['thumbnails', 'slideshow', 'lightboxActions', 'locale', 'strings'].includes(key))
+        : [];
+
+      this.#emit('optionsChange', { options: this.options, previous, changed, deferred, instance: this });
+
       return this;
     }
 
@@ -1814,25 +6508,25 @@
      * Destroy the instance
      */
     destroy() {
-      // Dispatch before event
-      const beforeEvent = new CustomEvent('cardmorph:beforeDestroy', {
-        cancelable: true,
-        detail: { instance: this }
-      });
+      // Dispatch before event (cancelable)
+      if (!this.#emit('beforeDestroy', { instance: this }, true)) return;
 
-      if (!this.container.dispatchEvent(beforeEvent)) return;
+      // Close this instance's lightbox session - its slides are torn down below
+      if (this.#lightboxOpen) {
+        Lightbox.close();
+      }
 
-      // Close any open view
+      // Close the open view at once: stop its open/close animation and finalize
+      // (one in progress finalizes through its own token)
       if (this.activeView) {
-        this.activeView.classList.remove('cm-view--active');
-        document.body.style.overflow = '';
-        document.body.style.position = '';
-        document.body.style.top = '';
-        document.body.style.width = '';
-        document.body.style.touchAction = '';
-        document.documentElement.style.overflow = '';
-        document.body.classList.remove('cm-no-scroll');
-        window.scrollTo(0, this.scrollPosition);
+        CardMorph.dependencies.gsap.killTweensOf(this.activeView);
+
+        if (this.#finishClose) {
+          this.#finishClose();
+        } else {
+          this.#clearHash();
+          this.#finalizeClose(this.activeView);
+        }
       }
 
       // Abort all event listeners
@@ -1845,22 +6539,21 @@
       this.#scrollTriggers.forEach(st => st.kill());
       this.#scrollTriggers = [];
 
-      // Destroy Lenis
-      if (this.#lenis) {
-        this.#lenis.destroy();
-        this.#lenis = null;
-      }
+      // Release scroll lock, shared Lenis and routing (kept while other instances use them)
+      PageCoordinator.unregister(this);
+      PageCoordinator.resumeScroll();
 
       // Remove escape handler
       if (this.#boundEscapeHandler) {
         document.removeEventListener('keydown', this.#boundEscapeHandler);
       }
 
-      // Remove popstate handler for URL navigation
-      if (this.#boundPopStateHandler) {
-        window.removeEventListener('popstate', this.#boundPopStateHandler);
-        this.#boundPopStateHandler = null;
-      }
+      // Release inert background and focus trap
+      this.#deactivateModal();
+
+      // Remove injected view navigation
+      this.#viewNavElements.forEach(nav => nav.remove());
+      this.#viewNavElements = [];
 
       // Remove initialized class
       this.container.classList.remove('cm-gallery--initialized');
@@ -1869,13 +6562,14 @@
       CardMorph.#instances.delete(this.container);
 
       // Dispatch destroyed event
-      this.container.dispatchEvent(new CustomEvent('cardmorph:destroyed', {
-        detail: { container: this.container }
-      }));
+      this.#emit('destroyed', { container: this.container });
 
       // Callback
       this.options.onDestroy?.(this);
 
+      // Drop subscribers
+      this.#listeners.clear();
+
       console.log('CardMorph: Destroyed', this.container);
     }
   }
@@ -1885,13 +6579,25 @@
   // ==========================================================================
 
   if (typeof document !== 'undefined') {
+    // Standalone lightbox markup
+    const initLightboxMarkup = () => {
+      if (document.querySelector('[data-lightbox], [data-lightbox-group]')) {
+        Lightbox.initAll();
+      }
+    };
+
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => {
         // Only auto-init if data-card-morph-auto attribute is present on any element
         if (document.querySelector('[data-card-morph-auto]')) {
           CardMorph.initAll('[data-card-morph-auto]');
         }
+
+        initLightboxMarkup();
       });
+    } else {
+      // Deferred or late-loaded script: the DOM is already parsed
+      initLightboxMarkup();
     }
   }
 